@@ -1,13 +1,23 @@
 // ============================================
 // ============================================
-// KETTLEBELL VBT - Gemini Analysis API
+// KETTLEBELL VBT - Video Analysis API
 // Vercel Serverless Function
 // ============================================
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { analyzeKeypoints, testProtocol } = require('../lib/landmark-analyzer');
+const { getProviderConfig, createProvider } = require('../lib/providers');
+const { validateReps, compareSummary, hasErrors, warning } = require('../lib/rep-schema');
+const { resolveVideo, UploadError } = require('../lib/upload-store');
+const { getCoachStore } = require('../lib/coach-store');
 
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+class AnalysisError extends Error {
+    constructor(status, error, message) {
+        super(message);
+        this.name = 'AnalysisError';
+        this.status = status;
+        this.error = error;
+    }
+}
 
 module.exports = async function handler(req, res) {
     // Only allow POST
@@ -16,49 +26,154 @@ module.exports = async function handler(req, res) {
     }
 
     try {
-        const { video, mimeType, protocol } = req.body;
+        const results = await runAnalysis(req.body);
+        return res.status(200).json(results);
 
-        if (!video || !protocol) {
-            return res.status(400).json({ error: 'Missing video or protocol data' });
+    } catch (error) {
+        if (error instanceof AnalysisError) {
+            return res.status(error.status).json({ error: error.error, message: error.message });
         }
+        if (error instanceof UploadError) {
+            return res.status(error.status).json({ error: 'Invalid video reference', message: error.message });
+        }
+        console.error('Analysis error:', error);
+        return res.status(500).json({ 
+            error: 'Analysis failed', 
+            message: error.message 
+        });
+    }
+};
+
+// The whole analysis pipeline, shared by this endpoint and /api/jobs.
+// onProgress(stage, progress) reports 'uploading' | 'analyzing' | 'validating' with progress 0-1;
+// signal cancels an in-flight model call.
+async function runAnalysis(body, { onProgress = () => {}, signal } = {}) {
+    const { video, videoRef, mimeType, protocol, keypoints } = body || {};
+
+    if (!protocol || (!video && !videoRef && !keypoints)) {
+        throw new AnalysisError(400, 'Missing video/keypoints or protocol data', 'Missing video/keypoints or protocol data');
+    }
+
+    if (keypoints) checkTestProtocol(protocol);
 
-        // Build the analysis prompt
-        const prompt = buildPrompt(protocol);
+    // Large videos arrive through /api/upload and are passed by reference
+    const media = videoRef
+        ? await resolveMedia(videoRef)
+        : { video, mimeType: mimeType || 'video/mp4' };
 
-        // Call Gemini with JSON mode
-        const model = genAI.getGenerativeModel({ 
-            model: 'gemini-1.5-pro',
-            generationConfig: {
-                responseMimeType: 'application/json'
-            }
+    // Model backend from ANALYSIS_PROVIDER; a request may pick another provider/model to compare
+    let providerConfig;
+    try {
+        providerConfig = getProviderConfig(process.env, {
+            provider: body.provider,
+            model: body.model
         });
+    } catch (configError) {
+        throw new AnalysisError(400, 'Invalid provider', configError.message);
+    }
 
-        const result = await model.generateContent([
-            {
-                inlineData: {
-                    mimeType: mimeType || 'video/mp4',
-                    data: video
-                }
-            },
-            { text: prompt }
-        ]);
+    // Deterministic analysis from the MediaPipe keypoint stream
+    onProgress('analyzing', 0.1);
+    let results = keypoints ? analyzeKeypoints(await withRosterCalibration(keypoints, protocol), protocol) : null;
 
-        const response = await result.response;
-        const text = response.text();
+    // The model call is an optional extra on top of the measured numbers
+    if ((media.video || media.videoPath) && providerConfig) {
+        try {
+            const provider = createProvider(providerConfig);
+            const modelResults = await analyzeWithProvider(provider, media, protocol, { onProgress, signal });
+            results = results ? mergeModelNotes(results, modelResults) : modelResults;
+        } catch (modelError) {
+            if (!results || (signal && signal.aborted)) throw modelError;
+            console.error('Model analysis skipped:', modelError);
+            results.coachingNotes += ' (AI coaching unavailable.)';
+        }
+    }
 
-        // Parse Gemini's response into structured data
-        const parsedResults = parseGeminiResponse(text, protocol);
+    if (!results) {
+        throw new AnalysisError(503, 'Analysis unavailable',
+            'No analysis provider configured. Send pose keypoints for offline analysis.');
+    }
 
-        return res.status(200).json(parsedResults);
+    return results;
+}
 
+// Keypoint analysis runs the protocol's test block (and set layout) through Protocols.normalize;
+// a bad one is the client's input, not an analysis failure
+function checkTestProtocol(protocol) {
+    try {
+        testProtocol(protocol);
     } catch (error) {
-        console.error('Analysis error:', error);
-        return res.status(500).json({ 
-            error: 'Analysis failed', 
-            message: error.message 
+        throw new AnalysisError(400, 'Invalid protocol', error.message);
+    }
+}
+
+// Keypoints sent without a calibration use the athlete's roster measurements (api/coach.js), if any
+async function withRosterCalibration(keypoints, protocol) {
+    if (keypoints.calibration || !protocol.athlete) return keypoints;
+    try {
+        const calibration = await getCoachStore().calibrationFor(protocol.athlete);
+        return calibration ? { ...keypoints, calibration } : keypoints;
+    } catch (error) {
+        console.error('Roster calibration skipped:', error);
+        return keypoints;
+    }
+}
+
+async function resolveMedia(videoRef) {
+    const file = await resolveVideo(videoRef);
+    return { videoPath: file.path, mimeType: file.mimeType };
+}
+
+// media is { video (base64) } or { videoPath } plus mimeType
+async function analyzeWithProvider(provider, media, protocol, { onProgress = () => {}, signal } = {}) {
+    // Build the analysis prompt
+    const prompt = buildPrompt(protocol);
+
+    // Providers that upload the video first (Gemini File API) report it through onStage
+    const onStage = (stage) => onProgress(stage, stage === 'uploading' ? 0.2 : 0.4);
+    onProgress('analyzing', 0.4);
+    const text = await provider.generate({ ...media, prompt, protocol, signal, onStage });
+
+    // Parse the model's response into structured data
+    onProgress('validating', 0.8);
+    let parsed = parseGeminiResponse(text, protocol);
+
+    // One automatic re-prompt with the validation errors; keep whichever attempt is cleaner
+    if (hasErrors(parsed.warnings)) {
+        onProgress('analyzing', 0.85);
+        const retryText = await provider.generate({
+            ...media,
+            prompt: buildRepairPrompt(protocol, text, parsed.warnings),
+            protocol,
+            signal
         });
+        onProgress('validating', 0.95);
+        const retried = parseGeminiResponse(retryText, protocol);
+        if (countErrors(retried.warnings) <= countErrors(parsed.warnings)) {
+            parsed = retried;
+        }
+        parsed.reprompted = true;
     }
-};
+
+    parsed.source = provider.name;
+    parsed.provider = { name: provider.name, model: provider.model };
+    return parsed;
+}
+
+function countErrors(warnings) {
+    return warnings.filter(item => item.severity === 'error').length;
+}
+
+// Keep the measured reps and velocities; the model only contributes its coaching notes
+function mergeModelNotes(results, modelResults) {
+    return {
+        ...results,
+        coachingNotes: `${results.coachingNotes} ${modelResults.coachingNotes}`,
+        provider: modelResults.provider,
+        modelReps: modelResults.reps,
+        modelWarnings: modelResults.warnings
+    };
+}
 
 function buildPrompt(protocol) {
     const exerciseName = {
@@ -98,6 +213,24 @@ Return this exact JSON structure:
 }`;
 }
 
+function buildRepairPrompt(protocol, previousText, warnings) {
+    const problems = warnings
+        .filter(item => item.severity === 'error')
+        .map(item => `- ${item.message}`)
+        .join('\n');
+
+    return `${buildPrompt(protocol)}
+
+YOUR PREVIOUS RESPONSE FAILED VALIDATION:
+${problems}
+
+Previous response:
+${previousText.substring(0, 2000)}
+
+Return corrected JSON only. Timestamps must be MM:SS.s, every endTime must be after its startTime,
+repNumber must increase with time, and arms must follow the protocol above.`;
+}
+
 function getArmContext(protocol) {
     switch (protocol.armPattern) {
         case 'left-only':
@@ -116,6 +249,7 @@ function getArmContext(protocol) {
 }
 
 function parseGeminiResponse(text, protocol) {
+    let data;
     try {
         // Clean up the response - remove markdown code blocks if present
         let cleanText = text.trim();
@@ -131,44 +265,73 @@ function parseGeminiResponse(text, protocol) {
             cleanText = cleanText.slice(0, -3);
         }
         
-        // Try to find JSON object in the response if there's extra text
-        const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            cleanText = jsonMatch[0];
-        }
-        
         cleanText = cleanText.trim();
 
-        const data = JSON.parse(cleanText);
+        try {
+            data = JSON.parse(cleanText);
+        } catch (error) {
+            // Try to find JSON object in the response if there's extra text
+            const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
+            if (!jsonMatch) throw error;
+            data = JSON.parse(jsonMatch[0]);
+        }
 
-        // Ensure we have the required structure
-        return {
-            reps: data.reps || [],
-            totalReps: data.summary?.totalReps || data.reps?.length || 0,
-            avgDuration: data.summary?.avgDuration || calculateAvg(data.reps, 'duration'),
-            avgVelocity: data.summary?.avgVelocity || calculateAvg(data.reps, 'velocityScore'),
-            fastestRep: data.summary?.fastestRep || 1,
-            slowestRep: data.summary?.slowestRep || data.reps?.length || 1,
-            velocityDropoff: data.summary?.velocityDropPercent || calculateDropoff(data.reps),
-            coachingNotes: data.coachingNotes || 'Analysis complete. Review the rep-by-rep data for insights.'
-        };
+        // null, a number or a bare array parses fine but isn't an analysis
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`expected a JSON object, got ${Array.isArray(data) ? 'an array' : JSON.stringify(data)}`);
+        }
 
     } catch (parseError) {
         console.error('Failed to parse Gemini response:', parseError);
         console.error('Raw response:', text);
-        
-        // Return a fallback structure with the raw text for debugging
+
+        // Nothing trustworthy to show - report the failure instead of the raw text
         return {
             reps: [],
             totalReps: 0,
             avgDuration: 0,
             avgVelocity: 0,
-            fastestRep: 0,
-            slowestRep: 0,
+            fastestRep: null,
+            slowestRep: null,
             velocityDropoff: 0,
-            coachingNotes: 'Parse error. Gemini response: ' + text.substring(0, 300)
+            coachingNotes: 'The analysis response could not be read, so no rep data is shown.',
+            warnings: [warning('invalid_json', `Response is not valid JSON: ${parseError.message}`)]
         };
     }
+
+    // Enforce the rep schema, then recompute the summary instead of trusting the model's
+    const { reps, warnings } = validateReps(data, protocol);
+    const summary = summarizeReps(reps);
+    warnings.push(...compareSummary(data.summary, summary));
+
+    return {
+        reps,
+        totalReps: summary.totalReps,
+        avgDuration: summary.avgDuration,
+        avgVelocity: summary.avgVelocity,
+        fastestRep: summary.fastestRep,
+        slowestRep: summary.slowestRep,
+        velocityDropoff: summary.velocityDropPercent,
+        coachingNotes: typeof data.coachingNotes === 'string' && data.coachingNotes
+            ? data.coachingNotes
+            : 'Analysis complete. Review the rep-by-rep data for insights.',
+        warnings
+    };
+}
+
+function summarizeReps(reps) {
+    const scored = reps.filter(rep => typeof rep.velocityScore === 'number');
+    const fastest = scored.reduce((best, rep) => !best || rep.velocityScore > best.velocityScore ? rep : best, null);
+    const slowest = scored.reduce((worst, rep) => !worst || rep.velocityScore < worst.velocityScore ? rep : worst, null);
+
+    return {
+        totalReps: reps.length,
+        avgDuration: calculateAvg(reps, 'duration'),
+        avgVelocity: calculateAvg(scored, 'velocityScore'),
+        fastestRep: fastest ? fastest.repNumber : null,
+        slowestRep: slowest ? slowest.repNumber : null,
+        velocityDropPercent: calculateDropoff(scored)
+    };
 }
 
 function calculateAvg(reps, field) {
@@ -184,3 +347,13 @@ function calculateDropoff(reps) {
     if (firstVelocity === 0) return 0;
     return ((firstVelocity - lastVelocity) / firstVelocity) * 100;
 }
+
+module.exports.runAnalysis = runAnalysis;
+module.exports.AnalysisError = AnalysisError;
+module.exports.checkTestProtocol = checkTestProtocol;
+
+// Prompt and response parsing, exported for tests
+module.exports.buildPrompt = buildPrompt;
+module.exports.getArmContext = getArmContext;
+module.exports.parseGeminiResponse = parseGeminiResponse;
+module.exports.calculateDropoff = calculateDropoff;
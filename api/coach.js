@@ -0,0 +1,106 @@
+// ============================================
+// KETTLEBELL VBT - Coach API
+// Vercel Serverless Function
+// ============================================
+//
+// GET    /api/coach?resource=athletes                     -> { athletes }
+// POST   /api/coach?resource=athletes                     { name, heightCm?, shoulderWidthCm?, bodyMassKg?, notes? } -> 201 athlete
+// PUT    /api/coach?resource=athletes&id=...              same fields -> athlete
+// DELETE /api/coach?resource=athletes&id=...
+// GET    /api/coach?resource=assignments[&athlete=name]   -> { assignments }, newest first
+// POST   /api/coach?resource=assignments                  { athleteIds, exercise, weight?, armPattern?, protocol?, note? } -> 201 assignment
+// PUT    /api/coach?resource=assignments&id=...           same fields -> assignment
+// DELETE /api/coach?resource=assignments&id=...
+// POST   /api/coach?resource=sessions                     { sessions: [...] } -> { added, updated, total }
+// GET    /api/coach?resource=sessions[&athlete&exercise&weight&from&to] -> { sessions }
+// GET    /api/coach?resource=compare&exercise=...[&weight&from&to]      -> { rows }, one per roster athlete
+// GET    /api/coach?resource=calibration&athlete=name      -> { calibration } from roster measurements, or null
+//
+// Data is kept in one JSON file (lib/coach-store.js), so run it on a single machine.
+
+const { getCoachStore, CoachError } = require('../lib/coach-store');
+
+module.exports = async function handler(req, res) {
+    const { resource, id } = req.query || {};
+
+    try {
+        const store = getCoachStore();
+        switch (resource) {
+            case 'athletes':
+                return await athletes(store, req, res, id);
+            case 'assignments':
+                return await assignments(store, req, res, id);
+            case 'sessions':
+                return await sessions(store, req, res);
+            case 'compare':
+                if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+                return res.status(200).json({ rows: await store.compare(req.query) });
+            case 'calibration':
+                if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+                return res.status(200).json({ calibration: await store.calibrationFor(req.query.athlete) });
+            default:
+                return res.status(400).json({ error: 'Unknown resource' });
+        }
+    } catch (error) {
+        if (error instanceof CoachError) {
+            return res.status(error.status).json({ error: 'Coach request failed', message: error.message });
+        }
+        console.error('Coach error:', error);
+        return res.status(500).json({
+            error: 'Coach request failed',
+            message: error.message
+        });
+    }
+};
+
+async function athletes(store, req, res, id) {
+    switch (req.method) {
+        case 'GET':
+            return res.status(200).json({ athletes: await store.listAthletes() });
+        case 'POST':
+            return res.status(201).json(await store.saveAthlete({ ...req.body, id: undefined }));
+        case 'PUT':
+            if (!id) return res.status(400).json({ error: 'Missing id' });
+            return res.status(200).json(await store.saveAthlete({ ...req.body, id }));
+        case 'DELETE':
+            if (!id) return res.status(400).json({ error: 'Missing id' });
+            await store.deleteAthlete(id);
+            return res.status(204).end();
+        default:
+            return res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+async function assignments(store, req, res, id) {
+    switch (req.method) {
+        case 'GET': {
+            const { athlete } = req.query;
+            if (!athlete) return res.status(200).json({ assignments: await store.listAssignments() });
+            // Unknown names simply have no assignments
+            const match = await store.findAthlete(athlete);
+            return res.status(200).json({ assignments: match ? await store.listAssignments({ athleteId: match.id }) : [] });
+        }
+        case 'POST':
+            return res.status(201).json(await store.saveAssignment({ ...req.body, id: undefined }));
+        case 'PUT':
+            if (!id) return res.status(400).json({ error: 'Missing id' });
+            return res.status(200).json(await store.saveAssignment({ ...req.body, id }));
+        case 'DELETE':
+            if (!id) return res.status(400).json({ error: 'Missing id' });
+            await store.deleteAssignment(id);
+            return res.status(204).end();
+        default:
+            return res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+async function sessions(store, req, res) {
+    switch (req.method) {
+        case 'GET':
+            return res.status(200).json({ sessions: await store.listSessions(req.query) });
+        case 'POST':
+            return res.status(200).json(await store.saveSessions((req.body || {}).sessions));
+        default:
+            return res.status(405).json({ error: 'Method not allowed' });
+    }
+}
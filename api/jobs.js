@@ -0,0 +1,153 @@
+// ============================================
+// KETTLEBELL VBT - Analysis Jobs API
+// Vercel Serverless Function
+// ============================================
+//
+// POST   /api/jobs           { videoRef | keypoints, protocol, provider?, model? } -> 202 { id, status }
+// GET    /api/jobs?id=...    -> { id, status, progress, result, error }
+// DELETE /api/jobs?id=...    cancel a queued or running job
+//
+// Jobs run in the background of the instance that accepted them. Use `vercel dev` or another
+// long-lived Node process; a plain serverless deployment may freeze the instance after responding.
+
+const { runAnalysis, checkTestProtocol, AnalysisError } = require('./analyze');
+const { getJobStore, isTerminal } = require('../lib/job-store');
+const { UploadError } = require('../lib/upload-store');
+
+// AbortControllers for jobs running in this instance
+const running = new Map();
+
+module.exports = async function handler(req, res) {
+    const store = getJobStore();
+    const { id } = req.query || {};
+
+    try {
+        switch (req.method) {
+            case 'POST':
+                return await submitJob(store, req.body || {}, res);
+            case 'GET':
+                return await getJob(store, id, res);
+            case 'DELETE':
+                return await cancelJob(store, id, res);
+            default:
+                return res.status(405).json({ error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Job error:', error);
+        return res.status(500).json({
+            error: 'Job request failed',
+            message: error.message
+        });
+    }
+};
+
+async function submitJob(store, body, res) {
+    const { videoRef, keypoints, protocol, provider, model } = body;
+
+    if (body.video) {
+        return res.status(400).json({
+            error: 'Inline video not supported',
+            message: 'Upload the video through /api/upload and submit its videoRef'
+        });
+    }
+    if (!protocol || (!videoRef && !keypoints)) {
+        return res.status(400).json({ error: 'Missing videoRef/keypoints or protocol data' });
+    }
+    if (keypoints) {
+        try {
+            checkTestProtocol(protocol);
+        } catch (error) {
+            return res.status(error.status).json({ error: error.error, message: error.message });
+        }
+    }
+
+    const job = await store.create({ videoRef, keypoints, protocol, provider, model });
+
+    // Deliberately not awaited - the client polls for progress
+    runJob(store, job).catch(error => console.error('Job runner error:', error));
+
+    return res.status(202).json(toPublicJob(job));
+}
+
+async function getJob(store, id, res) {
+    const job = await store.get(id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    return res.status(200).json(toPublicJob(job));
+}
+
+async function cancelJob(store, id, res) {
+    const job = await store.get(id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (isTerminal(job)) {
+        return res.status(409).json({ error: 'Job already finished', status: job.status });
+    }
+
+    const cancelled = await store.update(id, { status: 'cancelled', error: 'Cancelled by user' });
+    if (!cancelled) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (cancelled.status !== 'cancelled') {
+        // Finished between the read above and the cancel
+        return res.status(409).json({ error: 'Job already finished', status: cancelled.status });
+    }
+
+    // Abort here if this instance runs it; other instances notice at their next progress update
+    const controller = running.get(id);
+    if (controller) controller.abort(new Error('Job cancelled'));
+
+    return res.status(200).json(toPublicJob(cancelled));
+}
+
+async function runJob(store, job) {
+    const controller = new AbortController();
+    running.set(job.id, controller);
+
+    // Progress writes are chained so they land in order. The store refuses to move a cancelled
+    // job, so a write that didn't take means the job was cancelled (possibly by another instance).
+    let updates = Promise.resolve();
+    const onProgress = (stage, progress) => {
+        updates = updates.then(async () => {
+            const current = await store.update(job.id, { status: stage, progress });
+            if (!current || current.status !== stage) {
+                controller.abort(new Error('Job cancelled'));
+            }
+        });
+    };
+
+    try {
+        const result = await runAnalysis(job.request, { onProgress, signal: controller.signal });
+        await updates;
+        if (controller.signal.aborted) return;
+
+        await store.update(job.id, { status: 'done', progress: 1, result });
+
+    } catch (error) {
+        await updates.catch(() => {});
+        if (controller.signal.aborted) return;
+
+        const message = error instanceof AnalysisError || error instanceof UploadError
+            ? error.message
+            : `Analysis failed: ${error.message}`;
+        await store.update(job.id, { status: 'failed', error: message });
+
+    } finally {
+        running.delete(job.id);
+    }
+}
+
+// The stored request can hold a large keypoint stream - clients only need status and results
+function toPublicJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        progress: job.progress,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
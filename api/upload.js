@@ -0,0 +1,73 @@
+// ============================================
+// KETTLEBELL VBT - Chunked Upload API
+// Vercel Serverless Function
+// ============================================
+//
+// POST   /api/upload                          { fileName, mimeType, size } -> { uploadId, partSize, totalParts }
+// PUT    /api/upload?uploadId=..&part=N       raw bytes (application/octet-stream)
+// GET    /api/upload?uploadId=..              -> { receivedParts, ... } for resuming
+// POST   /api/upload?uploadId=..&action=complete  -> { videoRef, ... }
+// DELETE /api/upload?uploadId=..              abort and discard
+
+const uploads = require('../lib/upload-store');
+
+module.exports = async function handler(req, res) {
+    const { uploadId, part, action } = req.query || {};
+
+    try {
+        if (req.method === 'POST' && !uploadId) {
+            const { fileName, mimeType, size } = req.body || {};
+            const meta = await uploads.createUpload({ fileName, mimeType, size });
+            return res.status(201).json({
+                uploadId: meta.uploadId,
+                partSize: meta.partSize,
+                totalParts: meta.totalParts
+            });
+        }
+
+        if (!uploadId) {
+            return res.status(400).json({ error: 'Missing uploadId' });
+        }
+
+        switch (req.method) {
+            case 'PUT': {
+                const data = await readRawBody(req);
+                const result = await uploads.writePart(uploadId, parseInt(part, 10), data);
+                return res.status(200).json(result);
+            }
+            case 'GET':
+                return res.status(200).json(await uploads.getStatus(uploadId));
+            case 'POST':
+                if (action !== 'complete') {
+                    return res.status(400).json({ error: 'Unknown action' });
+                }
+                return res.status(200).json(await uploads.completeUpload(uploadId));
+            case 'DELETE':
+                await uploads.deleteUpload(uploadId);
+                return res.status(204).end();
+            default:
+                return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+    } catch (error) {
+        if (error instanceof uploads.UploadError) {
+            return res.status(error.status).json({ error: 'Upload failed', message: error.message });
+        }
+        console.error('Upload error:', error);
+        return res.status(500).json({
+            error: 'Upload failed',
+            message: error.message
+        });
+    }
+};
+
+// Vercel pre-parses octet-stream bodies into a Buffer; plain Node servers leave the stream unread
+async function readRawBody(req) {
+    if (Buffer.isBuffer(req.body)) return req.body;
+
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
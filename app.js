@@ -2,16 +2,53 @@
 // KETTLEBELL VBT - Frontend Application
 // ============================================
 
+// Matches MAX_UPLOAD_BYTES in lib/upload-store.js
+const MAX_UPLOAD_BYTES = 2 * 1024 * 1024 * 1024;
+const UPLOAD_RESUME_KEY = 'kb_vbt_pending_upload';
+
+// Seconds kept before and after a rep in exported clips
+const CLIP_PADDING = 0.5;
+
+// Clip colours for results that don't say which zones they were judged by (the Standard protocol's)
+const DEFAULT_ZONES = { warning: 15, critical: 20 };
+
+// Analysis jobs survive page reloads through these keys
+const ACTIVE_JOB_KEY = 'kb_vbt_active_job';
+const LAST_RESULT_KEY = 'kb_vbt_last_result';
+const JOB_POLL_MS = 1500;
+
+const JOB_STAGE_LABELS = {
+    queued: 'Queued',
+    uploading: 'Sending video to the model',
+    analyzing: 'Analyzing',
+    validating: 'Validating results',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
 class KettlebellVBT {
     constructor() {
         this.videoFile = null;
+        this.activeJobId = null;
+        this.assignedTest = null;
+        this.clipFile = null;
+        this.shownReps = [];
+        this.shownBaseline = null;
+        this.trimmer = new VideoTrimmer();
+        this.poseExtractor = PoseExtractor.isSupported() ? new PoseExtractor() : null;
         this.initElements();
         this.bindEvents();
         this.updateArmPatternVisibility();
+        this.initHistory();
+        this.restoreJobState();
     }
 
     initElements() {
         // Protocol inputs
+        this.athleteInput = document.getElementById('athlete');
+        this.athleteList = document.getElementById('athlete-list');
+        this.assignmentHint = document.getElementById('athlete-assignment');
         this.exerciseSelect = document.getElementById('exercise');
         this.weightInput = document.getElementById('kettlebell-weight');
         this.repsInput = document.getElementById('reps-per-set');
@@ -26,11 +63,18 @@ class KettlebellVBT {
         this.videoPreview = document.getElementById('video-preview');
         this.previewPlayer = document.getElementById('preview-player');
         this.removeVideoBtn = document.getElementById('remove-video');
+        this.trimStartInput = document.getElementById('trim-start');
+        this.trimEndInput = document.getElementById('trim-end');
+        this.trimControls = document.getElementById('trim-controls');
 
         // Analyze elements
         this.analyzeBtn = document.getElementById('analyze-btn');
         this.btnText = this.analyzeBtn.querySelector('.btn-text');
         this.btnLoader = this.analyzeBtn.querySelector('.btn-loader');
+        this.jobProgress = document.getElementById('job-progress');
+        this.jobProgressFill = document.getElementById('job-progress-fill');
+        this.jobStage = document.getElementById('job-stage');
+        this.cancelJobBtn = document.getElementById('cancel-job');
 
         // Results elements
         this.resultsSection = document.getElementById('results-section');
@@ -38,12 +82,16 @@ class KettlebellVBT {
         this.resultsBody = document.getElementById('results-body');
         this.velocityChart = document.getElementById('velocity-chart');
         this.coachingNotes = document.getElementById('coaching-notes');
+        this.resultsExport = document.getElementById('results-export');
     }
 
     bindEvents() {
         // Arm pattern visibility toggle
         this.armPatternSelect.addEventListener('change', () => this.updateArmPatternVisibility());
 
+        // Prefill the test the coach assigned to this athlete
+        this.athleteInput.addEventListener('change', () => this.loadAssignment());
+
         // Upload zone click
         this.uploadZone.addEventListener('click', () => this.videoInput.click());
 
@@ -74,6 +122,22 @@ class KettlebellVBT {
 
         // Analyze button
         this.analyzeBtn.addEventListener('click', () => this.analyzeVideo());
+
+        // Cancel a running analysis job
+        this.cancelJobBtn.addEventListener('click', () => this.cancelJob());
+
+        // Per-rep clips with the numbers burned in
+        this.resultsBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-clip]');
+            if (button) this.exportRepClip(Number(button.dataset.clip), button);
+        });
+
+        // Export the session shown in the results card
+        this.resultsExport.addEventListener('click', (e) => {
+            const format = e.target.dataset.format;
+            if (!format || !this.currentSession) return;
+            SessionExport.exportSessions([this.currentSession], format, `kb-vbt-${this.currentSession.exercise}`);
+        });
     }
 
     updateArmPatternVisibility() {
@@ -82,6 +146,50 @@ class KettlebellVBT {
         this.startingArmGroup.style.display = showStartingArm ? 'flex' : 'none';
     }
 
+    // The newest coach assignment (coach.html) sets the exercise, bell, arm pattern and set layout.
+    // Without the coach API (e.g. a static deploy) the form is simply left alone.
+    async loadAssignment() {
+        const athlete = this.athleteInput.value.trim();
+        this.assignmentHint.hidden = true;
+        this.assignedTest = null;
+        if (!athlete) return;
+
+        let assignment;
+        try {
+            const { assignments } = await this.requestJson(
+                `/api/coach?resource=assignments&athlete=${encodeURIComponent(athlete)}`, { method: 'GET' }, 1);
+            assignment = assignments[0];
+        } catch (error) {
+            console.warn('Coach assignments unavailable:', error.message);
+            return;
+        }
+        // Ignore answers for a name that has since been changed
+        if (!assignment || this.athleteInput.value.trim() !== athlete) return;
+
+        // An exercise or arm pattern this form doesn't offer would leave it half set
+        const offers = (select, value) => [...select.options].some(option => option.value === value);
+        if (!offers(this.exerciseSelect, assignment.exercise) || !offers(this.armPatternSelect, assignment.armPattern) ||
+            !assignment.protocol || !assignment.protocol.sets) {
+            console.warn('Ignoring an assignment this form can\'t run:', assignment.exercise, assignment.armPattern);
+            return;
+        }
+
+        this.exerciseSelect.value = assignment.exercise;
+        this.weightInput.value = assignment.weight;
+        this.armPatternSelect.value = assignment.armPattern;
+        this.updateArmPatternVisibility();
+
+        // Keypoint analysis judges the set by the assigned protocol's baseline, zones and stop rules
+        const protocol = assignment.protocol;
+        this.assignedTest = protocol;
+        if (protocol.sets.repsPerSet > 0) this.repsInput.value = protocol.sets.repsPerSet;
+        if (protocol.sets.interval > 0) this.intervalInput.value = protocol.sets.interval;
+
+        this.assignmentHint.textContent = `Assigned by coach: ${EXERCISE_NAMES[assignment.exercise] || assignment.exercise} · ` +
+            `${assignment.weight}kg · ${protocol.name}${assignment.note ? ` — ${assignment.note}` : ''}`;
+        this.assignmentHint.hidden = false;
+    }
+
     handleFileSelect(file) {
         if (!file) return;
 
@@ -91,9 +199,9 @@ class KettlebellVBT {
             return;
         }
 
-        // Validate file size (100MB max)
-        if (file.size > 100 * 1024 * 1024) {
-            alert('Video file must be under 100MB');
+        // Validate file size (2GB max - uploaded in parts)
+        if (file.size > MAX_UPLOAD_BYTES) {
+            alert('Video file must be under 2GB');
             return;
         }
 
@@ -105,6 +213,11 @@ class KettlebellVBT {
         this.uploadZone.hidden = true;
         this.videoPreview.hidden = false;
 
+        // Trimming re-records in the browser, so only offer it where that works
+        this.trimControls.hidden = !VideoTrimmer.isSupported();
+        this.trimStartInput.value = '';
+        this.trimEndInput.value = '';
+
         // Enable analyze button
         this.analyzeBtn.disabled = false;
     }
@@ -124,12 +237,14 @@ class KettlebellVBT {
 
     getProtocol() {
         return {
+            athlete: this.athleteInput.value.trim(),
             exercise: this.exerciseSelect.value,
             weight: parseInt(this.weightInput.value),
             repsPerSet: parseInt(this.repsInput.value),
             interval: parseInt(this.intervalInput.value),
             armPattern: this.armPatternSelect.value,
-            startingArm: this.startingArmSelect.value
+            startingArm: this.startingArmSelect.value,
+            test: this.assignedTest || undefined
         };
     }
 
@@ -139,63 +254,362 @@ class KettlebellVBT {
         // Show loading state
         this.setLoading(true);
         this.resultsSection.hidden = true;
+        this.clearError();
 
         try {
-            // Convert video to base64
-            const base64Video = await this.fileToBase64(this.videoFile);
+            // Optionally cut the video down to the chosen range first
+            const file = await this.getVideoForUpload();
+
+            // Upload in parts and analyze by reference
+            const upload = await this.uploadVideo(file);
+
+            // Measured reps come from the pose keypoints; the model (if configured) adds coaching notes
+            const keypoints = await this.extractKeypoints(file);
             
             // Get protocol
             const protocol = this.getProtocol();
 
-            // Send to API
-            const response = await fetch('/api/analyze', {
+            // Submit an analysis job - a single attempt so a flaky network can't queue it twice
+            this.setLoading(true, 'Analyzing...');
+            const job = await this.requestJson('/api/jobs', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    video: base64Video,
-                    mimeType: this.videoFile.type,
+                    videoRef: upload.videoRef,
+                    keypoints,
                     protocol: protocol
                 })
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.message || 'Analysis failed');
-            }
+            }, 1);
 
-            const results = await response.json();
-            this.displayResults(results);
+            localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify({ id: job.id, protocol }));
+            await this.watchJob(job.id, protocol, file);
 
         } catch (error) {
             console.error('Analysis error:', error);
-            this.showError(error.message);
+            this.showError(error.message, true);
         } finally {
             this.setLoading(false);
         }
     }
 
-    fileToBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => {
-                // Remove the data URL prefix to get just the base64
-                const base64 = reader.result.split(',')[1];
-                resolve(base64);
-            };
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
+    // Poll a job until it finishes, updating the progress bar as it goes.
+    // `file` is the video that was sent (after trimming), so rep times line up with it for clips.
+    async watchJob(jobId, protocol, file = null) {
+        this.activeJobId = jobId;
+        this.cancelJobBtn.hidden = false;
+
+        try {
+            while (true) {
+                let job;
+                try {
+                    job = await this.requestJson(`/api/jobs?id=${jobId}`, { method: 'GET' });
+                } catch (error) {
+                    // The server lost the job (restart, different instance) - nothing left to resume
+                    if (error.status === 404) localStorage.removeItem(ACTIVE_JOB_KEY);
+                    throw error;
+                }
+
+                this.showProgress(JOB_STAGE_LABELS[job.status] || job.status, job.progress);
+
+                if (job.status === 'done') {
+                    localStorage.removeItem(ACTIVE_JOB_KEY);
+                    localStorage.setItem(LAST_RESULT_KEY, JSON.stringify({
+                        jobId,
+                        result: job.result,
+                        completedAt: job.updatedAt
+                    }));
+                    this.displayResults(job.result, { clipFile: file });
+                    await this.saveSession(jobId, protocol, job.result);
+                    return;
+                }
+                if (job.status === 'failed') {
+                    localStorage.removeItem(ACTIVE_JOB_KEY);
+                    throw new Error(job.error || 'Analysis failed');
+                }
+                if (job.status === 'cancelled') {
+                    localStorage.removeItem(ACTIVE_JOB_KEY);
+                    return;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+            }
+        } finally {
+            this.activeJobId = null;
+            this.cancelJobBtn.hidden = true;
+            this.hideProgress();
+        }
+    }
+
+    async cancelJob() {
+        if (!this.activeJobId) return;
+        this.cancelJobBtn.disabled = true;
+        try {
+            await this.requestJson(`/api/jobs?id=${this.activeJobId}`, { method: 'DELETE' }, 1);
+        } catch (error) {
+            // 409 means it finished first; the poll loop will pick up the result
+            if (error.status !== 409) this.showError(error.message);
+        } finally {
+            this.cancelJobBtn.disabled = false;
+        }
+    }
+
+    // Resume a job that was running before a reload, or show the last finished result
+    restoreJobState() {
+        const active = JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY) || 'null');
+        if (active) {
+            this.setLoading(true);
+            this.watchJob(active.id, active.protocol)
+                .catch(error => this.showError(error.message, true))
+                .finally(() => this.setLoading(false));
+            return;
+        }
+
+        const last = JSON.parse(localStorage.getItem(LAST_RESULT_KEY) || 'null');
+        if (last && last.result) {
+            this.displayResults(last.result, { scroll: false });
+            this.setCurrentSession(null);
+            if (this.sessionStore) {
+                this.sessionStore.getSession(last.jobId)
+                    .then(session => { if (session) this.setCurrentSession(session); })
+                    .catch(error => console.error('History error:', error));
+            }
+        }
+    }
+
+    // --- Session history ---
+
+    initHistory() {
+        if (!SessionStore.isSupported()) return;
+
+        this.sessionStore = new SessionStore();
+        this.history = new SessionHistoryView(this.sessionStore, {
+            onSelect: (session) => {
+                this.displayResults(this.sessionToResults(session));
+                this.setCurrentSession(session);
+            },
+            // Deleted or imported sessions change the athlete list and the profile points
+            onChange: () => {
+                this.refreshAthletes();
+                this.profile.refresh();
+            }
+        });
+        this.profile = new LoadVelocityView(this.sessionStore);
+        this.refreshHistory();
+    }
+
+    async refreshHistory(selection) {
+        try {
+            await this.refreshAthletes();
+            await this.history.refresh(selection);
+            await this.profile.refresh(selection ? { athlete: selection.athlete, exercise: selection.exercise } : {});
+        } catch (error) {
+            console.error('History error:', error);
+        }
+    }
+
+    async refreshAthletes() {
+        const athletes = await this.sessionStore.listAthletes();
+        // Names are user input - set them as values, never as markup
+        this.athleteList.innerHTML = '';
+        athletes.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            this.athleteList.appendChild(option);
+        });
+    }
+
+    // The session the results card shows; export is offered only when there is one
+    setCurrentSession(session) {
+        this.currentSession = session;
+        this.resultsExport.hidden = !session;
+    }
+
+    // The job ID doubles as the session ID, so a result restored after a reload is not saved twice
+    async saveSession(jobId, protocol, results) {
+        if (!protocol) return;
+
+        const session = {
+            id: jobId,
+            athlete: SessionStore.normalizeAthlete(protocol.athlete),
+            exercise: protocol.exercise,
+            weight: protocol.weight,
+            date: new Date().toISOString(),
+            source: 'upload',
+            protocol,
+            reps: results.reps,
+            summary: {
+                totalReps: results.totalReps,
+                avgDuration: results.avgDuration,
+                avgVelocity: results.avgVelocity,
+                velocityUnit: results.velocityUnit || 'score',
+                baselineVelocity: results.baselineVelocity,
+                fastestRep: results.fastestRep,
+                slowestRep: results.slowestRep,
+                velocityDropoff: results.velocityDropoff
+            },
+            coachingNotes: results.coachingNotes,
+            warnings: results.warnings || []
+        };
+        this.setCurrentSession(session);
+        if (!this.sessionStore) return;
+
+        try {
+            await this.sessionStore.saveSession(session);
+            await this.refreshHistory({
+                athlete: protocol.athlete,
+                exercise: protocol.exercise,
+                weight: protocol.weight
+            });
+        } catch (error) {
+            console.error('Failed to save session:', error);
+        }
+    }
+
+    sessionToResults(session) {
+        return {
+            ...session.summary,
+            reps: session.reps,
+            coachingNotes: session.coachingNotes,
+            warnings: session.warnings
+        };
+    }
+
+    // Pose keypoints for the whole video, or undefined when MediaPipe can't run here - the job then
+    // relies on the model provider alone
+    async extractKeypoints(file) {
+        if (!this.poseExtractor) return undefined;
+        this.setLoading(true, 'Reading poses...');
+        try {
+            const keypoints = await this.poseExtractor.extract(file, {
+                onProgress: (progress) => this.showProgress('Reading poses', progress)
+            });
+            return keypoints.frames.length > 0 ? keypoints : undefined;
+        } catch (error) {
+            console.warn('Pose extraction skipped:', error);
+            return undefined;
+        }
+    }
+
+    async getVideoForUpload() {
+        const start = parseFloat(this.trimStartInput.value);
+        const end = parseFloat(this.trimEndInput.value);
+        const hasStart = !Number.isNaN(start) && start > 0;
+        const hasEnd = !Number.isNaN(end) && end > 0;
+
+        if (this.trimControls.hidden || (!hasStart && !hasEnd)) {
+            return this.videoFile;
+        }
+
+        return this.trimmer.trim(this.videoFile, hasStart ? start : 0, hasEnd ? end : null, (progress) => {
+            this.showProgress('Trimming', progress);
         });
     }
 
-    setLoading(loading) {
-        this.analyzeBtn.disabled = loading;
-        this.btnText.textContent = loading ? 'Analyzing...' : 'Analyze Video';
+    // Chunked, resumable upload. Parts already on the server (from an interrupted
+    // attempt with the same file) are skipped.
+    async uploadVideo(file) {
+        const fingerprint = `${file.name}:${file.size}:${file.lastModified}`;
+        let session = await this.resumeUpload(fingerprint);
+
+        if (!session) {
+            const created = await this.requestJson('/api/upload', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ fileName: file.name, mimeType: file.type, size: file.size })
+            });
+            session = { ...created, receivedParts: [] };
+            localStorage.setItem(UPLOAD_RESUME_KEY, JSON.stringify({ fingerprint, uploadId: created.uploadId }));
+        }
+
+        const { uploadId, partSize, totalParts } = session;
+        const received = new Set(session.receivedParts);
+
+        for (let part = 0; part < totalParts; part++) {
+            if (!received.has(part)) {
+                const chunk = file.slice(part * partSize, Math.min(file.size, (part + 1) * partSize));
+                await this.requestJson(`/api/upload?uploadId=${uploadId}&part=${part}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    body: chunk
+                });
+            }
+            this.showProgress('Uploading', (part + 1) / totalParts);
+        }
+
+        const upload = await this.requestJson(`/api/upload?uploadId=${uploadId}&action=complete`, { method: 'POST' });
+        localStorage.removeItem(UPLOAD_RESUME_KEY);
+        return upload;
+    }
+
+    async resumeUpload(fingerprint) {
+        const pending = JSON.parse(localStorage.getItem(UPLOAD_RESUME_KEY) || 'null');
+        if (!pending || pending.fingerprint !== fingerprint) return null;
+
+        try {
+            const status = await this.requestJson(`/api/upload?uploadId=${pending.uploadId}`, { method: 'GET' }, 1);
+            return status.complete ? null : status;
+        } catch (error) {
+            // Server no longer has it (expired temp storage) - start over
+            localStorage.removeItem(UPLOAD_RESUME_KEY);
+            return null;
+        }
+    }
+
+    // JSON request with exponential backoff, like fetchWithBackoff in the live tracker
+    async requestJson(url, options, maxRetries = 4) {
+        let attempt = 0;
+        let delay = 1000;
+
+        while (true) {
+            try {
+                const response = await fetch(url, options);
+                const data = response.status === 204 ? {} : await response.json();
+                if (!response.ok) {
+                    const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+                return data;
+            } catch (error) {
+                attempt++;
+                // Client errors will not succeed on retry
+                if (attempt >= maxRetries || (error.status >= 400 && error.status < 500)) throw error;
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay *= 2; // Exponential backoff
+            }
+        }
+    }
+
+    setLoading(loading, label = 'Analyzing...') {
+        this.analyzeBtn.disabled = loading || !this.videoFile;
+        this.btnText.textContent = loading ? label : 'Analyze Video';
         this.btnLoader.hidden = !loading;
     }
 
-    displayResults(results) {
+    showProgress(label, fraction) {
+        const percent = Math.round(Math.min(1, Math.max(0, fraction || 0)) * 100);
+        this.jobProgress.hidden = false;
+        this.jobProgressFill.style.width = `${percent}%`;
+        this.jobStage.textContent = `${label} · ${percent}%`;
+    }
+
+    hideProgress() {
+        this.jobProgress.hidden = true;
+        this.jobProgressFill.style.width = '0%';
+    }
+
+    // Clips are only offered for results measured on `clipFile` - not restored or history sessions
+    displayResults(results, { scroll = true, clipFile = null } = {}) {
+        this.clipFile = AnnotatedVideoExporter.isSupported() ? clipFile : null;
+        this.shownReps = results.reps;
+        this.shownBaseline = results.baselineVelocity;
+        this.shownSides = (results.sides && results.sides.sides) || {};
+        this.shownZones = (results.protocol && results.protocol.zones)
+            || (this.assignedTest && this.assignedTest.zones)
+            || DEFAULT_ZONES;
+
         // Clear previous results
         this.resultsSummary.innerHTML = '';
         this.resultsBody.innerHTML = '';
@@ -221,51 +635,163 @@ class KettlebellVBT {
 
         // Rep table
         const avgDuration = results.avgDuration;
-        results.reps.forEach(rep => {
+        results.reps.forEach((rep, index) => {
             const diff = ((rep.duration - avgDuration) / avgDuration * 100);
             const diffClass = diff > 5 ? 'velocity-low' : diff < -5 ? 'velocity-high' : '';
             const diffSign = diff > 0 ? '+' : '';
             
+            // Reps can come from an imported file, so every cell is set as text
             const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${rep.repNumber}</td>
-                <td>${rep.arm}</td>
-                <td>${rep.duration.toFixed(2)}s</td>
-                <td>${rep.velocityScore}/10</td>
-                <td class="${diffClass}">${diffSign}${diff.toFixed(1)}%</td>
-            `;
+            this.addCell(row, rep.repNumber);
+            this.addCell(row, rep.arm);
+            this.addCell(row, `${rep.duration.toFixed(2)}s`);
+            this.addCell(row, this.formatRepVelocity(rep));
+            this.addCell(row, `${diffSign}${diff.toFixed(1)}%`).className = diffClass;
+            const clipCell = this.addCell(row, '');
+            if (this.clipFile) {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary btn-small';
+                button.dataset.clip = index;
+                button.textContent = 'Clip';
+                clipCell.appendChild(button);
+            }
             this.resultsBody.appendChild(row);
         });
 
         // Velocity chart
-        const maxVelocity = Math.max(...results.reps.map(r => r.velocityScore));
+        const maxVelocity = Math.max(...results.reps.map(r => this.getRepVelocity(r) || 0));
         results.reps.forEach(rep => {
             const bar = document.createElement('div');
             bar.className = 'velocity-bar';
-            const heightPercent = (rep.velocityScore / maxVelocity) * 100;
+            const heightPercent = maxVelocity > 0 ? ((this.getRepVelocity(rep) || 0) / maxVelocity) * 100 : 0;
             bar.style.height = `${heightPercent}%`;
             bar.setAttribute('data-rep', rep.repNumber);
-            if (rep.velocityScore < results.avgVelocity * 0.9) {
+            if (this.getRepVelocity(rep) < results.avgVelocity * 0.9) {
                 bar.classList.add('below-avg');
             }
             this.velocityChart.appendChild(bar);
         });
 
         // Coaching notes
-        this.coachingNotes.innerHTML = `
-            <h3>🎯 Analysis</h3>
-            <p>${results.coachingNotes}</p>
-        `;
+        const notesHeading = document.createElement('h3');
+        notesHeading.textContent = '🎯 Analysis';
+        const notes = document.createElement('p');
+        notes.textContent = results.coachingNotes;
+        this.coachingNotes.appendChild(notesHeading);
+        this.coachingNotes.appendChild(notes);
+
+        // Validation warnings - repaired or rejected model output
+        if (results.warnings && results.warnings.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'analysis-warnings';
+            results.warnings.forEach(item => {
+                const li = document.createElement('li');
+                li.className = `warning-${item.severity}`;
+                li.textContent = item.message;
+                list.appendChild(li);
+            });
+            const heading = document.createElement('h3');
+            heading.textContent = `⚠️ Data checks (${results.warnings.length})`;
+            this.coachingNotes.appendChild(heading);
+            this.coachingNotes.appendChild(list);
+        }
 
         // Show results
         this.resultsSection.hidden = false;
-        this.resultsSection.scrollIntoView({ behavior: 'smooth' });
+        if (scroll) {
+            this.resultsSection.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    // Re-records one rep (plus CLIP_PADDING either side) with its number, arm and velocity burned in
+    async exportRepClip(index, button) {
+        const rep = this.shownReps[index];
+        if (!rep || !this.clipFile) return;
+
+        const styles = getComputedStyle(document.documentElement);
+        const velocity = this.getRepVelocity(rep);
+        // Against the rep's own arm when each arm has a baseline
+        const side = this.shownSides[rep.arm];
+        const baseline = side && side.baseline > 0 ? side.baseline : this.shownBaseline;
+        const drop = typeof rep.peakVelocity === 'number' && baseline > 0
+            ? (1 - rep.peakVelocity / baseline) * 100
+            : null;
+        // The zone the protocol gave the rep (null while the baseline is set); results without one are
+        // judged by the session protocol's zones
+        const zone = 'zone' in rep ? rep.zone : drop === null ? null
+            : drop >= this.shownZones.critical ? 'critical' : drop >= this.shownZones.warning ? 'warning' : 'optimal';
+        const color = styles.getPropertyValue({
+            critical: '--negative',
+            warning: '--warning',
+            optimal: '--positive'
+        }[zone] || '--accent-bright').trim();
+        const lines = [
+            `REP ${rep.repNumber}${rep.arm ? ` · ${rep.arm.toUpperCase()}` : ''}`,
+            velocity === null || velocity === undefined ? '' : this.formatRepVelocity(rep),
+            drop === null ? '' : `${drop > 0 ? '-' : '+'}${Math.abs(drop).toFixed(1)}% vs baseline`
+        ].filter(Boolean);
+
+        button.disabled = true;
+        try {
+            const baseName = this.clipFile.name.replace(/\.[^.]+$/, '');
+            const file = await new AnnotatedVideoExporter().render(this.clipFile, {
+                start: SessionExport.parseClock(rep.startTime) - CLIP_PADDING,
+                end: SessionExport.parseClock(rep.endTime) + CLIP_PADDING,
+                name: `${baseName}-rep-${rep.repNumber}`,
+                drawOverlay: (ctx, time, width, height) => this.drawRepLabel(ctx, lines, color, height),
+                onProgress: (progress) => this.showProgress(`Exporting rep ${rep.repNumber}`, progress)
+            });
+            SessionExport.download(file, file.name, file.type);
+        } catch (error) {
+            console.error('Clip export error:', error);
+            this.showError(`Clip export failed: ${error.message}`);
+        } finally {
+            this.hideProgress();
+            button.disabled = false;
+        }
     }
 
-    showError(message) {
+    drawRepLabel(ctx, lines, color, height) {
+        const unit = Math.max(1, height / 480);
+        const lineHeight = 24 * unit;
+        const x = 12 * unit;
+        const y = 12 * unit;
+        const boxHeight = lines.length * lineHeight + 12 * unit;
+
+        ctx.fillStyle = 'rgba(10, 10, 15, 0.75)';
+        ctx.fillRect(x, y, 240 * unit, boxHeight);
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, 6 * unit, boxHeight);
+        lines.forEach((line, i) => {
+            ctx.fillStyle = i === 0 ? '#ffffff' : color;
+            ctx.font = `${i === 0 ? 'bold ' : ''}${Math.round((i === 0 ? 20 : 16) * unit)}px monospace`;
+            ctx.fillText(line, x + 16 * unit, y + (i + 1) * lineHeight);
+        });
+    }
+
+    // Keypoint analysis measures real m/s; Gemini only gives a relative 1-10 score
+    addCell(row, text) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+        return cell;
+    }
+
+    getRepVelocity(rep) {
+        return typeof rep.peakVelocity === 'number' ? rep.peakVelocity : rep.velocityScore;
+    }
+
+    formatRepVelocity(rep) {
+        if (typeof rep.peakVelocity === 'number') {
+            return `${rep.peakVelocity.toFixed(2)} m/s`;
+        }
+        if (typeof rep.velocityScore !== 'number') return '—';
+        return `${rep.velocityScore}/10`;
+    }
+
+    showError(message, persistent = false) {
         // Remove existing error
-        const existing = document.querySelector('.error-message');
-        if (existing) existing.remove();
+        this.clearError();
 
         const errorDiv = document.createElement('div');
         errorDiv.className = 'error-message';
@@ -274,8 +800,15 @@ class KettlebellVBT {
         const analyzeSection = document.getElementById('analyze-section');
         analyzeSection.querySelector('.card-body').appendChild(errorDiv);
 
-        // Auto-remove after 5 seconds
-        setTimeout(() => errorDiv.remove(), 5000);
+        // Job failures stay until the next attempt; transient errors auto-remove after 5 seconds
+        if (!persistent) {
+            setTimeout(() => errorDiv.remove(), 5000);
+        }
+    }
+
+    clearError() {
+        const existing = document.querySelector('.error-message');
+        if (existing) existing.remove();
     }
 }
 
@@ -0,0 +1,199 @@
+// ============================================
+// KETTLEBELL VBT - Calibration
+// Pixel -> metre scale for velocity, per athlete and camera setup
+// ============================================
+//
+// Methods:
+//   shoulder-width  measured shoulder width; scale follows the shoulders every frame
+//   height          standing height, converted to a shoulder width
+//   kettlebell      two clicks across the bell; distance = bell diameter for the weight
+//   points          two clicks on anything of known length (tape marks, a plate, a box)
+//
+// Shoulder methods track the athlete moving closer or further away, but need a front-on view.
+// Click methods fix one scale for the plane that was clicked, so the athlete must stay at that
+// distance - use them for side-view filming.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Calibration = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_SHOULDER_WIDTH = 0.40;
+
+    // Biacromial width is about 0.259 x standing height (Drillis & Contini)
+    const SHOULDER_TO_HEIGHT = 0.259;
+
+    // Competition bells share one size; cast-iron bells grow with weight (approximate, metres)
+    const COMPETITION_BELL_DIAMETER = 0.21;
+    const CAST_IRON_DIAMETERS = {
+        4: 0.13, 6: 0.14, 8: 0.15, 10: 0.16, 12: 0.17, 14: 0.175, 16: 0.18, 18: 0.185, 20: 0.19,
+        22: 0.195, 24: 0.20, 26: 0.205, 28: 0.21, 32: 0.22, 36: 0.23, 40: 0.24, 44: 0.25, 48: 0.26
+    };
+
+    // Shoulder line turned more than ~35 degrees from the camera plane (cos 35 = 0.82)
+    const FORESHORTENING_LIMIT = 0.82;
+
+    const STORAGE_KEY = 'kb_calibrations';
+
+    function kettlebellDiameter(weight, style = 'cast-iron') {
+        if (style === 'competition') return COMPETITION_BELL_DIAMETER;
+
+        const weights = Object.keys(CAST_IRON_DIAMETERS).map(Number).sort((a, b) => a - b);
+        const target = Number(weight) || 16;
+        const nearest = weights.reduce((best, w) => Math.abs(w - target) < Math.abs(best - target) ? w : best);
+        return CAST_IRON_DIAMETERS[nearest];
+    }
+
+    function shoulderWidthFromHeight(heightMeters) {
+        return heightMeters * SHOULDER_TO_HEIGHT;
+    }
+
+    function distance(p1, p2) {
+        return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+    }
+
+    // MediaPipe landmarks are normalized 0-1 per axis - convert before measuring anything
+    function toPixels(landmark, width, height) {
+        return { x: landmark.x * width, y: landmark.y * height, z: landmark.z * width };
+    }
+
+    // Build a calibration record. Lengths are in metres, click points in video pixels.
+    function create({ method, athlete, setup, shoulderWidth, height, weight, style, distance: knownDistance, points }) {
+        const record = {
+            method,
+            athlete: athlete || '',
+            setup: setup || 'Default',
+            createdAt: new Date().toISOString()
+        };
+
+        switch (method) {
+            case 'shoulder-width':
+                if (!(shoulderWidth > 0)) throw new Error('Enter a shoulder width');
+                record.shoulderWidth = shoulderWidth;
+                break;
+            case 'height':
+                if (!(height > 0)) throw new Error('Enter a height');
+                record.height = height;
+                record.shoulderWidth = shoulderWidthFromHeight(height);
+                break;
+            case 'kettlebell':
+            case 'points': {
+                const length = method === 'kettlebell' ? kettlebellDiameter(weight, style) : knownDistance;
+                if (!(length > 0)) throw new Error('Enter the distance between the points');
+                if (!points || points.length !== 2) throw new Error('Click two points on the video');
+                const pixels = distance(points[0], points[1]);
+                if (pixels < 5) throw new Error('Points are too close together');
+                record.distance = length;
+                record.points = points;
+                record.metersPerPixel = length / pixels;
+                if (method === 'kettlebell') {
+                    record.weight = Number(weight) || 0;
+                    record.style = style || 'cast-iron';
+                }
+                break;
+            }
+            default:
+                throw new Error(`Unknown calibration method: ${method}`);
+        }
+        return record;
+    }
+
+    function describe(record) {
+        if (!record) return `Default ${DEFAULT_SHOULDER_WIDTH * 100} cm shoulder width`;
+        switch (record.method) {
+            case 'shoulder-width':
+                return `Shoulder width ${Math.round(record.shoulderWidth * 100)} cm`;
+            case 'height':
+                return `Height ${Math.round(record.height * 100)} cm (shoulders ~${Math.round(record.shoulderWidth * 100)} cm)`;
+            case 'kettlebell':
+                return `${record.weight} kg ${record.style} bell, ${Math.round(record.distance * 1000) / 10} cm`;
+            case 'points':
+                return `Reference ${Math.round(record.distance * 1000) / 10} cm`;
+            default:
+                return record.method;
+        }
+    }
+
+    // Per-frame scale. Returns { metersPerPixel, foreshortened, facing } or null when the pose
+    // can't be measured. `facing` is the cosine of the shoulder line's rotation away from the camera.
+    function createScaler(record) {
+        const shoulderWidth = record && record.shoulderWidth ? record.shoulderWidth : DEFAULT_SHOULDER_WIDTH;
+        const fixedScale = record && record.metersPerPixel ? record.metersPerPixel : null;
+        let lastReliableScale = null;
+
+        return function scale(landmarks, width, height) {
+            const left = toPixels(landmarks[11], width, height);
+            const right = toPixels(landmarks[12], width, height);
+            const shoulderPx = distance(left, right);
+            const depth = Math.abs(left.z - right.z);
+            const facing = shoulderPx / Math.sqrt(shoulderPx * shoulderPx + depth * depth || 1);
+            const foreshortened = facing < FORESHORTENING_LIMIT;
+
+            // A clicked reference doesn't depend on the torso, so rotation can't skew it
+            if (fixedScale) {
+                return { metersPerPixel: fixedScale, foreshortened: false, facing };
+            }
+
+            // Avoid division by zero / absurd scales when the shoulders collapse to a point
+            if (shoulderPx < 0.01 * width) return null;
+
+            // A rotated torso shows narrower shoulders, which would inflate velocity - hold the last good scale
+            // (a side-on view never has one, so it keeps the flagged per-frame scale)
+            if (foreshortened) {
+                return { metersPerPixel: lastReliableScale || shoulderWidth / shoulderPx, foreshortened, facing };
+            }
+            lastReliableScale = shoulderWidth / shoulderPx;
+            return { metersPerPixel: lastReliableScale, foreshortened, facing };
+        };
+    }
+
+    // --- Persistence (localStorage or anything with getItem/setItem) ---
+
+    function key(athlete, setup) {
+        return `${(athlete || '').trim().toLowerCase()}|${(setup || 'Default').trim().toLowerCase()}`;
+    }
+
+    function loadAll(storage) {
+        try {
+            return JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function load(storage, athlete, setup) {
+        return loadAll(storage)[key(athlete, setup)] || null;
+    }
+
+    function save(storage, record) {
+        const all = loadAll(storage);
+        all[key(record.athlete, record.setup)] = record;
+        storage.setItem(STORAGE_KEY, JSON.stringify(all));
+        return record;
+    }
+
+    function remove(storage, athlete, setup) {
+        const all = loadAll(storage);
+        delete all[key(athlete, setup)];
+        storage.setItem(STORAGE_KEY, JSON.stringify(all));
+    }
+
+    return {
+        DEFAULT_SHOULDER_WIDTH,
+        SHOULDER_TO_HEIGHT,
+        COMPETITION_BELL_DIAMETER,
+        CAST_IRON_DIAMETERS,
+        FORESHORTENING_LIMIT,
+        kettlebellDiameter,
+        shoulderWidthFromHeight,
+        toPixels,
+        create,
+        describe,
+        createScaler,
+        load,
+        save,
+        remove
+    };
+});
@@ -0,0 +1,359 @@
+// ============================================
+// KETTLEBELL VBT - Coach Dashboard
+// ============================================
+
+const COACH_API = '/api/coach';
+
+const ARM_PATTERN_NAMES = {
+    'left-only': 'Left arm',
+    'right-only': 'Right arm',
+    'alternating-sets': 'Alternating sets',
+    'alternating-reps': 'Alternating reps',
+    both: 'Both arms'
+};
+
+class CoachDashboard {
+    constructor() {
+        this.athletes = [];
+        this.editingId = null;
+        this.initElements();
+        this.bindEvents();
+        this.fillProtocols();
+        this.refresh();
+    }
+
+    initElements() {
+        // Roster
+        this.rosterBody = document.getElementById('roster-body');
+        this.rosterEmpty = document.getElementById('roster-empty');
+        this.nameInput = document.getElementById('roster-name');
+        this.heightInput = document.getElementById('roster-height');
+        this.shouldersInput = document.getElementById('roster-shoulders');
+        this.massInput = document.getElementById('roster-mass');
+        this.notesInput = document.getElementById('roster-notes');
+        this.saveAthleteBtn = document.getElementById('roster-save');
+        this.cancelEditBtn = document.getElementById('roster-cancel');
+        this.rosterStatus = document.getElementById('roster-status');
+
+        // Assignments
+        this.athleteChoices = document.getElementById('assignment-athletes');
+        this.assignExercise = document.getElementById('assignment-exercise');
+        this.assignWeight = document.getElementById('assignment-weight');
+        this.assignArmPattern = document.getElementById('assignment-arm-pattern');
+        this.assignProtocol = document.getElementById('assignment-protocol');
+        this.assignNote = document.getElementById('assignment-note');
+        this.assignBtn = document.getElementById('assignment-save');
+        this.assignStatus = document.getElementById('assignment-status');
+        this.assignmentBody = document.getElementById('assignment-body');
+
+        // Comparison
+        this.compareExercise = document.getElementById('compare-exercise');
+        this.compareWeight = document.getElementById('compare-weight');
+        this.compareFrom = document.getElementById('compare-from');
+        this.compareTo = document.getElementById('compare-to');
+        this.compareBody = document.getElementById('compare-body');
+        this.syncBtn = document.getElementById('compare-sync');
+        this.compareStatus = document.getElementById('compare-status');
+    }
+
+    bindEvents() {
+        this.saveAthleteBtn.addEventListener('click', () => this.saveAthlete());
+        this.cancelEditBtn.addEventListener('click', () => this.editAthlete(null));
+        this.assignBtn.addEventListener('click', () => this.saveAssignment());
+        this.syncBtn.addEventListener('click', () => this.syncSessions());
+
+        [this.compareExercise, this.compareWeight, this.compareFrom, this.compareTo].forEach(input => {
+            input.addEventListener('change', () => this.compare());
+        });
+    }
+
+    // Presets plus protocols saved in this browser's live tracker
+    fillProtocols() {
+        Protocols.list(localStorage).forEach(protocol => {
+            const option = document.createElement('option');
+            option.value = protocol.id;
+            option.textContent = protocol.name;
+            option.title = Protocols.describe(protocol);
+            this.assignProtocol.appendChild(option);
+        });
+    }
+
+    async refresh() {
+        try {
+            const { athletes } = await this.request('athletes');
+            this.athletes = athletes;
+            this.renderRoster();
+            this.renderAthleteChoices();
+            await Promise.all([this.renderAssignments(), this.compare()]);
+        } catch (error) {
+            console.error('Coach dashboard error:', error);
+            this.showStatus(this.rosterStatus, `Could not load the roster: ${error.message}`);
+        }
+    }
+
+    // ========================================
+    // Roster
+    // ========================================
+
+    renderRoster() {
+        this.rosterBody.innerHTML = '';
+        this.rosterEmpty.hidden = this.athletes.length > 0;
+
+        this.athletes.forEach(athlete => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td></td>
+                <td>${this.formatMeasurement(athlete.heightCm, 'cm')}</td>
+                <td>${this.formatMeasurement(athlete.shoulderWidthCm, 'cm')}</td>
+                <td>${this.formatMeasurement(athlete.bodyMassKg, 'kg')}</td>
+                <td>
+                    <button class="btn-link" data-action="edit" title="Edit athlete">✎</button>
+                    <button class="btn-link" data-action="delete" title="Delete athlete">✕</button>
+                </td>
+            `;
+            // Names are typed by users - keep them out of innerHTML
+            row.firstElementChild.textContent = athlete.name;
+            row.firstElementChild.title = athlete.notes || '';
+            row.addEventListener('click', (e) => {
+                if (e.target.dataset.action === 'edit') this.editAthlete(athlete);
+                if (e.target.dataset.action === 'delete') this.deleteAthlete(athlete);
+            });
+            this.rosterBody.appendChild(row);
+        });
+    }
+
+    formatMeasurement(value, unit) {
+        return value ? `${value} ${unit}` : '—';
+    }
+
+    // Pass null to go back to adding a new athlete
+    editAthlete(athlete) {
+        this.editingId = athlete ? athlete.id : null;
+        this.nameInput.value = athlete ? athlete.name : '';
+        this.heightInput.value = athlete && athlete.heightCm ? athlete.heightCm : '';
+        this.shouldersInput.value = athlete && athlete.shoulderWidthCm ? athlete.shoulderWidthCm : '';
+        this.massInput.value = athlete && athlete.bodyMassKg ? athlete.bodyMassKg : '';
+        this.notesInput.value = athlete ? athlete.notes || '' : '';
+        this.saveAthleteBtn.textContent = athlete ? 'Save Athlete' : 'Add Athlete';
+        this.cancelEditBtn.hidden = !athlete;
+        if (athlete) this.nameInput.focus();
+    }
+
+    async saveAthlete() {
+        const athlete = {
+            name: this.nameInput.value.trim(),
+            heightCm: this.heightInput.value,
+            shoulderWidthCm: this.shouldersInput.value,
+            bodyMassKg: this.massInput.value,
+            notes: this.notesInput.value.trim()
+        };
+
+        try {
+            const saved = this.editingId
+                ? await this.request('athletes', { id: this.editingId }, { method: 'PUT', body: athlete })
+                : await this.request('athletes', {}, { method: 'POST', body: athlete });
+            this.editAthlete(null);
+            this.showStatus(this.rosterStatus, `Saved ${saved.name}`);
+            await this.refresh();
+        } catch (error) {
+            this.showStatus(this.rosterStatus, error.message);
+        }
+    }
+
+    async deleteAthlete(athlete) {
+        if (!confirm(`Remove ${athlete.name} from the roster? Their assignments are removed too.`)) return;
+        try {
+            await this.request('athletes', { id: athlete.id }, { method: 'DELETE' });
+            if (this.editingId === athlete.id) this.editAthlete(null);
+            await this.refresh();
+        } catch (error) {
+            this.showStatus(this.rosterStatus, error.message);
+        }
+    }
+
+    // ========================================
+    // Assignments
+    // ========================================
+
+    renderAthleteChoices() {
+        const checked = new Set([...this.athleteChoices.querySelectorAll('input:checked')].map(input => input.value));
+        this.athleteChoices.innerHTML = '';
+
+        this.athletes.forEach(athlete => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = athlete.id;
+            input.checked = checked.has(athlete.id);
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(athlete.name));
+            this.athleteChoices.appendChild(label);
+        });
+    }
+
+    async saveAssignment() {
+        const athleteIds = [...this.athleteChoices.querySelectorAll('input:checked')].map(input => input.value);
+        if (athleteIds.length === 0) {
+            this.showStatus(this.assignStatus, 'Pick at least one athlete');
+            return;
+        }
+
+        try {
+            await this.request('assignments', {}, {
+                method: 'POST',
+                body: {
+                    athleteIds,
+                    exercise: this.assignExercise.value,
+                    weight: this.assignWeight.value,
+                    armPattern: this.assignArmPattern.value,
+                    protocol: Protocols.find(localStorage, this.assignProtocol.value),
+                    note: this.assignNote.value.trim()
+                }
+            });
+            this.assignNote.value = '';
+            this.showStatus(this.assignStatus, `Assigned to ${athleteIds.length} athlete${athleteIds.length === 1 ? '' : 's'}`);
+            await this.renderAssignments();
+        } catch (error) {
+            this.showStatus(this.assignStatus, error.message);
+        }
+    }
+
+    async renderAssignments() {
+        const { assignments } = await this.request('assignments');
+        const names = new Map(this.athletes.map(athlete => [athlete.id, athlete.name]));
+        this.assignmentBody.innerHTML = '';
+
+        assignments.forEach(assignment => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td></td>
+                <td>${EXERCISE_NAMES[assignment.exercise] || assignment.exercise} · ${assignment.weight}kg · ${ARM_PATTERN_NAMES[assignment.armPattern] || assignment.armPattern}</td>
+                <td></td>
+                <td><button class="btn-link" data-action="delete" title="Delete assignment">✕</button></td>
+            `;
+            row.children[0].textContent = assignment.athleteIds.map(id => names.get(id) || '?').join(', ');
+            row.children[0].title = assignment.note || '';
+            row.children[2].textContent = assignment.protocol.name;
+            row.children[2].title = Protocols.describe(assignment.protocol);
+            row.addEventListener('click', async (e) => {
+                if (e.target.dataset.action !== 'delete') return;
+                try {
+                    await this.request('assignments', { id: assignment.id }, { method: 'DELETE' });
+                    await this.renderAssignments();
+                } catch (error) {
+                    this.showStatus(this.assignStatus, error.message);
+                }
+            });
+            this.assignmentBody.appendChild(row);
+        });
+    }
+
+    // ========================================
+    // Comparison
+    // ========================================
+
+    async compare() {
+        const query = {
+            exercise: this.compareExercise.value,
+            weight: this.compareWeight.value,
+            from: this.compareFrom.value,
+            to: this.compareTo.value
+        };
+
+        try {
+            const { rows } = await this.request('compare', query);
+            this.compareBody.innerHTML = '';
+            rows.forEach(row => this.compareBody.appendChild(this.renderCompareRow(row)));
+        } catch (error) {
+            this.showStatus(this.compareStatus, error.message);
+        }
+    }
+
+    renderCompareRow(row) {
+        const tr = document.createElement('tr');
+        const velocity = (value) => row.velocityUnit === 'm/s' ? `${value.toFixed(2)} m/s` : `${value.toFixed(1)}/10`;
+        tr.innerHTML = row.sessions > 0
+            ? `
+                <td></td>
+                <td>${row.sessions}</td>
+                <td>${velocity(row.avgBaseline)} (${velocity(row.bestBaseline)})</td>
+                <td>${row.avgDropoff.toFixed(1)}% (${row.maxDropoff.toFixed(1)}%)</td>
+                <td>${row.avgReps.toFixed(1)}</td>
+                <td>${new Date(row.lastDate).toLocaleDateString()}</td>
+            `
+            : '<td></td><td>0</td><td>—</td><td>—</td><td>—</td><td>—</td>';
+        tr.firstElementChild.textContent = row.name;
+        return tr;
+    }
+
+    // Sessions live in each device's IndexedDB; the coach store only keeps the summaries it compares
+    async syncSessions() {
+        if (!SessionStore.isSupported()) {
+            this.showStatus(this.compareStatus, 'This browser has no saved sessions');
+            return;
+        }
+
+        this.syncBtn.disabled = true;
+        try {
+            const sessions = await new SessionStore().listSessions();
+            if (sessions.length === 0) {
+                this.showStatus(this.compareStatus, 'This browser has no saved sessions');
+                return;
+            }
+            const { added, updated } = await this.request('sessions', {}, {
+                method: 'POST',
+                body: {
+                    sessions: sessions.map(session => ({
+                        id: session.id,
+                        athlete: session.athlete,
+                        exercise: session.exercise,
+                        weight: session.weight,
+                        date: session.date,
+                        source: session.source,
+                        summary: session.summary
+                    }))
+                }
+            });
+            this.showStatus(this.compareStatus, `Synced ${added} new and ${updated} updated session${added + updated === 1 ? '' : 's'}`);
+            await this.compare();
+        } catch (error) {
+            this.showStatus(this.compareStatus, `Sync failed: ${error.message}`);
+        } finally {
+            this.syncBtn.disabled = false;
+        }
+    }
+
+    // ========================================
+    // Helpers
+    // ========================================
+
+    async request(resource, params = {}, { method = 'GET', body } = {}) {
+        const query = new URLSearchParams({ resource });
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') query.set(key, value);
+        });
+
+        const response = await fetch(`${COACH_API}?${query}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = response.status === 204 ? {} : await response.json();
+        if (!response.ok) {
+            const error = new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    showStatus(element, message) {
+        element.textContent = message;
+        element.hidden = false;
+    }
+}
+
+// Initialize dashboard
+document.addEventListener('DOMContentLoaded', () => {
+    window.coach = new CoachDashboard();
+});
@@ -0,0 +1,112 @@
+// ============================================
+// KETTLEBELL VBT - Audio and Haptic Cues
+// ============================================
+
+// On-device feedback for the live tracker: WebAudio tones, the Web Speech API and vibration,
+// so no network is needed. Which cues play comes from the protocol's `cues` settings (protocols.js).
+class LiveCues {
+    constructor() {
+        this.audioContext = null;
+        this.settings = { rep: 'off', zones: false, cadence: 0, vibrate: false };
+        this.zones = {};
+        this.beat = null;
+    }
+
+    // Browsers only start audio from a user gesture - call this from a click or file pick
+    unlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!this.audioContext && AudioContextClass) this.audioContext = new AudioContextClass();
+        if (this.audioContext && this.audioContext.state === 'suspended') this.audioContext.resume();
+    }
+
+    configure(cues) {
+        this.settings = { ...cues };
+    }
+
+    // New test: forget the zones each arm was in and the metronome position
+    reset() {
+        this.zones = {};
+        this.beat = null;
+        if ('speechSynthesis' in window) speechSynthesis.cancel();
+    }
+
+    rep(count) {
+        if (this.settings.rep === 'beep') this.tone(880, 0.08);
+        if (this.settings.rep === 'count') this.say(String(count));
+        this.vibrate([40]);
+    }
+
+    // Only entering yellow or red makes a sound; a rep that stays in the zone is quiet.
+    // The tones start just after the rep beep so the two don't blur together.
+    zone(arm, zone) {
+        const previous = this.zones[arm];
+        this.zones[arm] = zone;
+        if (!this.settings.zones || zone === previous) return;
+
+        if (zone === 'warning') {
+            this.tone(660, 0.12, 0.15);
+            this.tone(520, 0.18, 0.29);
+            this.vibrate([100, 60, 100]);
+        } else if (zone === 'critical') {
+            [0.15, 0.35, 0.55].forEach(delay => this.tone(330, 0.15, delay, 'square'));
+            this.vibrate([300, 100, 300]);
+        }
+    }
+
+    stop() {
+        if (!this.settings.zones) return;
+        this.tone(220, 0.6, 0, 'square');
+        this.say('Stop');
+        this.vibrate([500, 150, 500]);
+    }
+
+    // Called every frame with the interval clock (Protocols.setClock); ticks at the cadence from each
+    // set's start, with a higher first beat. `resting` silences the rest of a set once its reps are done.
+    metronome(clock, interval, resting) {
+        const cadence = this.settings.cadence;
+        if (!clock || !(cadence > 0) || !(interval > 0)) {
+            this.beat = null;
+            return;
+        }
+        const elapsed = interval - clock.remaining;
+        const beat = `${clock.set}:${Math.floor(elapsed / (60 / cadence))}`;
+        if (beat === this.beat) return;
+        this.beat = beat;
+        if (resting) return;
+
+        const first = beat.endsWith(':0');
+        this.tone(first ? 1320 : 990, 0.05);
+        if (first) this.vibrate([60]);
+    }
+
+    tone(frequency, duration, delay = 0, type = 'sine') {
+        const ctx = this.audioContext;
+        if (!ctx || ctx.state !== 'running') return;
+
+        const start = ctx.currentTime + delay;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        // Short ramps avoid clicks at the start and end of each tone
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(0.4, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        oscillator.connect(gain).connect(ctx.destination);
+        oscillator.start(start);
+        oscillator.stop(start + duration + 0.02);
+    }
+
+    // A new phrase replaces one still being spoken, so counts never lag behind the reps
+    say(text) {
+        if (!('speechSynthesis' in window)) return;
+        speechSynthesis.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.rate = 1.2;
+        speechSynthesis.speak(utterance);
+    }
+
+    vibrate(pattern) {
+        if (this.settings.vibrate && navigator.vibrate) navigator.vibrate(pattern);
+    }
+}
@@ -0,0 +1,234 @@
+// ============================================
+// KETTLEBELL VBT - Session History View
+// Trends across sessions for one athlete / exercise / bell weight
+// ============================================
+
+const EXERCISE_NAMES = {
+    'snatch': 'Snatch',
+    'swing': 'Swing',
+    'clean': 'Clean',
+    'clean-press': 'Clean & Press',
+    'jerk': 'Jerk'
+};
+
+class SessionHistoryView {
+    constructor(store, { onSelect, onChange } = {}) {
+        this.store = store;
+        this.onSelect = onSelect || (() => {});
+        this.onChange = onChange || (() => {});
+        this.initElements();
+        this.bindEvents();
+    }
+
+    initElements() {
+        this.section = document.getElementById('history-section');
+        this.athleteSelect = document.getElementById('history-athlete');
+        this.seriesSelect = document.getElementById('history-series');
+        this.charts = document.getElementById('history-charts');
+        this.body = document.getElementById('history-body');
+        this.empty = document.getElementById('history-empty');
+        this.exportActions = document.getElementById('history-export');
+        this.importBtn = document.getElementById('history-import');
+        this.importInput = document.getElementById('history-import-input');
+        this.status = document.getElementById('history-status');
+    }
+
+    bindEvents() {
+        this.athleteSelect.addEventListener('change', () => this.refresh({ keepSeries: false }));
+        this.seriesSelect.addEventListener('change', () => this.render());
+
+        this.exportActions.addEventListener('click', (e) => {
+            if (e.target.dataset.format) this.exportAll(e.target.dataset.format);
+        });
+        this.importBtn.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            this.importInput.value = '';
+            if (file) this.importFile(file);
+        });
+    }
+
+    // Reload filter options from the store, optionally pre-selecting a series
+    async refresh({ athlete, exercise, weight, keepSeries = true } = {}) {
+        const athletes = await this.store.listAthletes();
+        this.section.hidden = false;
+
+        const selectedAthlete = athlete !== undefined
+            ? SessionStore.normalizeAthlete(athlete)
+            : this.athleteSelect.value || athletes[0];
+        this.fillSelect(this.athleteSelect, athletes.map(name => ({ value: name, label: name })), selectedAthlete);
+
+        const sessions = selectedAthlete ? await this.store.listSessions({ athlete: selectedAthlete }) : [];
+        const series = [];
+        sessions.forEach(session => {
+            const key = `${session.exercise}|${session.weight}`;
+            if (!series.some(item => item.value === key)) {
+                series.push({ value: key, label: `${EXERCISE_NAMES[session.exercise] || session.exercise} · ${session.weight}kg` });
+            }
+        });
+
+        const selectedSeries = exercise && weight
+            ? `${exercise}|${weight}`
+            : (keepSeries ? this.seriesSelect.value : '');
+        this.fillSelect(this.seriesSelect, series, selectedSeries);
+
+        await this.render();
+    }
+
+    fillSelect(select, options, selected) {
+        select.innerHTML = '';
+        options.forEach(option => {
+            const el = document.createElement('option');
+            el.value = option.value;
+            el.textContent = option.label;
+            select.appendChild(el);
+        });
+        if (options.some(option => option.value === selected)) {
+            select.value = selected;
+        }
+    }
+
+    async render() {
+        this.charts.innerHTML = '';
+        this.body.innerHTML = '';
+
+        const athlete = this.athleteSelect.value;
+        const [exercise, weight] = (this.seriesSelect.value || '').split('|');
+        const stored = athlete && exercise
+            ? await this.store.listSessions({ athlete, exercise, weight: Number(weight) })
+            : [];
+        // Records saved before imports were checked may lack a summary
+        const sessions = stored.map(session => ({ ...session, summary: SessionExport.summaryOf(session) }));
+
+        this.empty.hidden = sessions.length > 0;
+        if (sessions.length === 0) return;
+
+        // Relative 1-10 scores and m/s can't share an axis - chart the unit of the latest session
+        const unit = sessions[sessions.length - 1].summary.velocityUnit || 'score';
+        const comparable = sessions.filter(session => (session.summary.velocityUnit || 'score') === unit);
+
+        this.charts.appendChild(this.renderTrendChart('Avg Velocity', comparable.map(session => ({
+            date: session.date,
+            value: session.summary.avgVelocity
+        })), unit === 'm/s' ? ' m/s' : '/10'));
+
+        this.charts.appendChild(this.renderTrendChart('Velocity Drop', sessions.map(session => ({
+            date: session.date,
+            value: session.summary.velocityDropoff
+        })), '%'));
+
+        this.charts.appendChild(this.renderTrendChart('Reps', sessions.map(session => ({
+            date: session.date,
+            value: session.summary.totalReps
+        })), ''));
+
+        // Newest first in the table
+        [...sessions].reverse().forEach(session => {
+            const row = document.createElement('tr');
+            row.className = 'history-row';
+            [
+                new Date(session.date).toLocaleDateString(),
+                session.summary.totalReps,
+                this.formatVelocity(session.summary),
+                `${session.summary.velocityDropoff.toFixed(1)}%`
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            const deleteCell = document.createElement('td');
+            deleteCell.innerHTML = '<button class="btn-link" data-action="delete" title="Delete session">✕</button>';
+            row.appendChild(deleteCell);
+            row.addEventListener('click', (e) => {
+                if (e.target.dataset.action === 'delete') {
+                    e.stopPropagation();
+                    this.deleteSession(session);
+                } else {
+                    this.onSelect(session);
+                }
+            });
+            this.body.appendChild(row);
+        });
+    }
+
+    async exportAll(format) {
+        const sessions = await this.store.listSessions();
+        if (sessions.length === 0) {
+            this.showStatus('Nothing to export yet');
+            return;
+        }
+        SessionExport.exportSessions(sessions, format, 'kb-vbt-history');
+    }
+
+    // Sessions already in the store (same id) are skipped, so re-importing a file is harmless
+    async importFile(file) {
+        try {
+            const sessions = SessionExport.parse(await file.text(), file.name);
+            const { added, skipped } = await this.store.importSessions(sessions);
+            this.showStatus(`Imported ${added} session${added === 1 ? '' : 's'}` +
+                (skipped > 0 ? ` (${skipped} already in history)` : ''));
+            await this.refresh();
+            this.onChange();
+        } catch (error) {
+            this.showStatus(`Import failed: ${error.message}`);
+        }
+    }
+
+    showStatus(message) {
+        this.status.textContent = message;
+        this.status.hidden = false;
+    }
+
+    async deleteSession(session) {
+        if (!confirm(`Delete the session from ${new Date(session.date).toLocaleString()}?`)) return;
+        await this.store.deleteSession(session.id);
+        await this.refresh();
+        this.onChange();
+    }
+
+    formatVelocity(summary) {
+        if (summary.velocityUnit === 'm/s') return `${summary.avgVelocity.toFixed(2)} m/s`;
+        return `${summary.avgVelocity.toFixed(1)}/10`;
+    }
+
+    // Minimal SVG line chart: one point per session, oldest on the left
+    renderTrendChart(title, points, unit) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'history-chart';
+
+        const width = 300;
+        const height = 80;
+        const pad = 8;
+        const values = points.map(point => point.value || 0);
+        const max = Math.max(...values);
+        const min = Math.min(...values);
+        const range = max - min || 1;
+
+        const coords = values.map((value, i) => {
+            const x = points.length === 1 ? width / 2 : pad + (i / (points.length - 1)) * (width - pad * 2);
+            const y = height - pad - ((value - min) / range) * (height - pad * 2);
+            return { x, y };
+        });
+
+        const latest = values[values.length - 1];
+        const first = values[0];
+        const change = points.length > 1 ? latest - first : 0;
+        const changeText = points.length > 1 ? ` (${change >= 0 ? '+' : ''}${this.round(change)}${unit} vs first)` : '';
+
+        wrapper.innerHTML = `
+            <div class="history-chart-title">
+                <span>${title}</span>
+                <span class="history-chart-value">${this.round(latest)}${unit}${changeText}</span>
+            </div>
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polyline points="${coords.map(c => `${c.x},${c.y}`).join(' ')}" />
+                ${coords.map((c, i) => `<circle cx="${c.x}" cy="${c.y}" r="3"><title>${new Date(points[i].date).toLocaleDateString()}: ${this.round(values[i])}${unit}</title></circle>`).join('')}
+            </svg>
+        `;
+        return wrapper;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
@@ -0,0 +1,372 @@
+// ============================================
+// KETTLEBELL VBT - Coach Store
+// Roster, protocol assignments and synced session summaries for one team
+// ============================================
+//
+// athlete     { id, name, heightCm, shoulderWidthCm, bodyMassKg, notes, createdAt, updatedAt }
+// assignment  { id, athleteIds, exercise, weight, armPattern, protocol (protocols.js), note, createdAt }
+// session     { id, athlete, exercise, weight, date, source, totalReps, baselineVelocity, velocityDropoff, velocityUnit }
+//
+// Sessions live in each browser's IndexedDB; the coach dashboard syncs their summaries here so
+// athletes recorded on different devices can be compared.
+
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const Calibration = require('../calibration');
+const Protocols = require('../protocols');
+
+const EXERCISES = ['swing', 'snatch', 'clean', 'clean-press', 'jerk'];
+const ARM_PATTERNS = ['left-only', 'right-only', 'alternating-sets', 'alternating-reps', 'both'];
+
+class CoachError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'CoachError';
+        this.status = status;
+    }
+}
+
+function emptyData() {
+    return { athletes: [], assignments: [], sessions: [] };
+}
+
+// Session records use the trimmed name (SessionStore.normalizeAthlete); the roster matches case-insensitively
+function athleteKey(name) {
+    return (name || '').trim().toLowerCase();
+}
+
+// Optional measurement in a sane range, or null
+function measurement(value, field, min, max) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new CoachError(400, `${field} must be between ${min} and ${max}`);
+    }
+    return number;
+}
+
+function validateAthlete(input) {
+    const name = (input.name || '').trim();
+    if (!name) throw new CoachError(400, 'Athlete name is required');
+    return {
+        name,
+        heightCm: measurement(input.heightCm, 'Height (cm)', 100, 230),
+        shoulderWidthCm: measurement(input.shoulderWidthCm, 'Shoulder width (cm)', 25, 60),
+        bodyMassKg: measurement(input.bodyMassKg, 'Body mass (kg)', 30, 200),
+        notes: String(input.notes || '').trim()
+    };
+}
+
+function validateAssignment(input, athletes) {
+    const athleteIds = [...new Set(Array.isArray(input.athleteIds) ? input.athleteIds : [])];
+    if (athleteIds.length === 0) throw new CoachError(400, 'Pick at least one athlete');
+    const unknown = athleteIds.find(id => !athletes.some(athlete => athlete.id === id));
+    if (unknown) throw new CoachError(400, `Unknown athlete: ${unknown}`);
+    if (!EXERCISES.includes(input.exercise)) throw new CoachError(400, `Unknown exercise: ${input.exercise}`);
+    if (input.armPattern && !ARM_PATTERNS.includes(input.armPattern)) {
+        throw new CoachError(400, `Unknown arm pattern: ${input.armPattern}`);
+    }
+
+    let protocol;
+    try {
+        protocol = Protocols.normalize(input.protocol || Protocols.PRESETS[0]);
+    } catch (error) {
+        throw new CoachError(400, error.message);
+    }
+    return {
+        athleteIds,
+        exercise: input.exercise,
+        weight: measurement(input.weight, 'Bell weight (kg)', 1, 100),
+        armPattern: input.armPattern || 'alternating-sets',
+        protocol,
+        note: String(input.note || '').trim()
+    };
+}
+
+// Only what the comparisons need - the full per-rep record stays in the browser
+function toSessionSummary(session) {
+    const summary = session.summary || {};
+    if (!session.id || !session.exercise || isNaN(new Date(session.date))) {
+        throw new CoachError(400, 'Sessions need an id, exercise and date');
+    }
+    return {
+        id: String(session.id),
+        athlete: (session.athlete || '').trim() || 'Unassigned',
+        exercise: session.exercise,
+        weight: Number(session.weight) || 0,
+        date: new Date(session.date).toISOString(),
+        source: session.source || 'upload',
+        totalReps: Number(summary.totalReps) || 0,
+        baselineVelocity: Number(summary.baselineVelocity) || 0,
+        velocityDropoff: Number(summary.velocityDropoff) || 0,
+        velocityUnit: summary.velocityUnit || 'score'
+    };
+}
+
+// from / to are dates (YYYY-MM-DD or ISO); `to` includes the whole day
+function inRange(date, { from, to } = {}) {
+    if (from && date < parseDate(from, 'from').toISOString()) return false;
+    if (to) {
+        const end = parseDate(to, 'to');
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+        if (date >= end.toISOString()) return false;
+    }
+    return true;
+}
+
+function parseDate(value, field) {
+    const date = new Date(value);
+    if (isNaN(date)) throw new CoachError(400, `Invalid ${field} date: ${value}`);
+    return date;
+}
+
+function average(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function round(value, places) {
+    return value === null ? null : Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+}
+
+// One row per roster athlete for sessions of the same exercise (and weight, when given) in the range.
+// Baselines are only comparable in one unit, so m/s sessions are preferred when an athlete has any.
+function compareAthletes(athletes, sessions, { exercise, weight, from, to } = {}) {
+    if (!exercise) throw new CoachError(400, 'Pick an exercise to compare');
+    const matching = sessions.filter(session =>
+        session.exercise === exercise &&
+        (!weight || session.weight === Number(weight)) &&
+        inRange(session.date, { from, to }));
+
+    return athletes.map(athlete => {
+        const own = matching.filter(session => athleteKey(session.athlete) === athleteKey(athlete.name));
+        const measured = own.filter(session => session.velocityUnit === 'm/s');
+        const used = measured.length ? measured : own;
+        const baselines = used.map(session => session.baselineVelocity).filter(value => value > 0);
+        const latest = used.reduce((best, session) => !best || session.date > best.date ? session : best, null);
+
+        return {
+            athleteId: athlete.id,
+            name: athlete.name,
+            sessions: used.length,
+            velocityUnit: used.length ? used[0].velocityUnit : null,
+            avgBaseline: round(average(baselines), 2),
+            bestBaseline: baselines.length ? Math.max(...baselines) : null,
+            avgDropoff: round(average(used.map(session => session.velocityDropoff)), 1),
+            maxDropoff: used.length ? Math.max(...used.map(session => session.velocityDropoff)) : null,
+            avgReps: round(average(used.map(session => session.totalReps)), 1),
+            lastDate: latest ? latest.date : null
+        };
+    });
+}
+
+// Calibration record (calibration.js) from roster measurements: a measured shoulder width beats height
+function calibrationFromAthlete(athlete) {
+    if (!athlete) return null;
+    if (athlete.shoulderWidthCm) {
+        return Calibration.create({ method: 'shoulder-width', athlete: athlete.name, shoulderWidth: athlete.shoulderWidthCm / 100 });
+    }
+    if (athlete.heightCm) {
+        return Calibration.create({ method: 'height', athlete: athlete.name, height: athlete.heightCm / 100 });
+    }
+    return null;
+}
+
+// Storage-independent operations; subclasses provide read() and write(data)
+class CoachStore {
+    constructor() {
+        // Read-modify-write cycles are chained so concurrent requests don't drop each other's changes
+        this.queue = Promise.resolve();
+    }
+
+    change(mutate) {
+        const run = this.queue.then(async () => {
+            const data = await this.read();
+            const result = mutate(data);
+            await this.write(data);
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async listAthletes() {
+        const { athletes } = await this.read();
+        return athletes.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async getAthlete(id) {
+        const { athletes } = await this.read();
+        return athletes.find(athlete => athlete.id === id) || null;
+    }
+
+    async findAthlete(name) {
+        const { athletes } = await this.read();
+        return athletes.find(athlete => athleteKey(athlete.name) === athleteKey(name)) || null;
+    }
+
+    // Creates when input has no id
+    async saveAthlete(input) {
+        const fields = validateAthlete(input);
+        return this.change(data => {
+            const now = new Date().toISOString();
+            const duplicate = data.athletes.find(athlete => athlete.id !== input.id && athleteKey(athlete.name) === athleteKey(fields.name));
+            if (duplicate) throw new CoachError(409, `${fields.name} is already on the roster`);
+
+            if (!input.id) {
+                const athlete = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+                data.athletes.push(athlete);
+                return athlete;
+            }
+            const athlete = data.athletes.find(item => item.id === input.id);
+            if (!athlete) throw new CoachError(404, 'Athlete not found');
+            Object.assign(athlete, fields, { updatedAt: now });
+            return athlete;
+        });
+    }
+
+    // Also drops the athlete from assignments, and assignments left with nobody
+    deleteAthlete(id) {
+        return this.change(data => {
+            const before = data.athletes.length;
+            data.athletes = data.athletes.filter(athlete => athlete.id !== id);
+            if (data.athletes.length === before) throw new CoachError(404, 'Athlete not found');
+            data.assignments = data.assignments
+                .map(assignment => ({ ...assignment, athleteIds: assignment.athleteIds.filter(item => item !== id) }))
+                .filter(assignment => assignment.athleteIds.length > 0);
+        });
+    }
+
+    async listAssignments({ athleteId } = {}) {
+        const { assignments } = await this.read();
+        return assignments
+            .filter(assignment => !athleteId || assignment.athleteIds.includes(athleteId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    saveAssignment(input) {
+        return this.change(data => {
+            const fields = validateAssignment(input, data.athletes);
+            if (!input.id) {
+                const assignment = { id: crypto.randomUUID(), ...fields, createdAt: new Date().toISOString() };
+                data.assignments.push(assignment);
+                return assignment;
+            }
+            const assignment = data.assignments.find(item => item.id === input.id);
+            if (!assignment) throw new CoachError(404, 'Assignment not found');
+            Object.assign(assignment, fields);
+            return assignment;
+        });
+    }
+
+    deleteAssignment(id) {
+        return this.change(data => {
+            const before = data.assignments.length;
+            data.assignments = data.assignments.filter(assignment => assignment.id !== id);
+            if (data.assignments.length === before) throw new CoachError(404, 'Assignment not found');
+        });
+    }
+
+    // Upserts by session id; returns how many were new
+    async saveSessions(sessions) {
+        if (!Array.isArray(sessions)) throw new CoachError(400, 'Expected a list of sessions');
+        const summaries = sessions.map(toSessionSummary);
+        return this.change(data => {
+            const byId = new Map(data.sessions.map(session => [session.id, session]));
+            const added = summaries.filter(session => !byId.has(session.id)).length;
+            summaries.forEach(session => byId.set(session.id, session));
+            data.sessions = [...byId.values()];
+            return { added, updated: summaries.length - added, total: data.sessions.length };
+        });
+    }
+
+    async listSessions({ athlete, exercise, weight, from, to } = {}) {
+        const { sessions } = await this.read();
+        return sessions
+            .filter(session =>
+                (!athlete || athleteKey(session.athlete) === athleteKey(athlete)) &&
+                (!exercise || session.exercise === exercise) &&
+                (!weight || session.weight === Number(weight)) &&
+                inRange(session.date, { from, to }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    async compare(filter) {
+        const { athletes, sessions } = await this.read();
+        return compareAthletes(athletes, sessions, filter);
+    }
+
+    async calibrationFor(name) {
+        return calibrationFromAthlete(await this.findAthlete(name));
+    }
+}
+
+class MemoryCoachStore extends CoachStore {
+    constructor() {
+        super();
+        this.data = emptyData();
+    }
+
+    async read() {
+        return JSON.parse(JSON.stringify(this.data));
+    }
+
+    async write(data) {
+        this.data = JSON.parse(JSON.stringify(data));
+    }
+}
+
+// One JSON file, so the roster survives restarts on a single machine
+class FileCoachStore extends CoachStore {
+    constructor(file) {
+        super();
+        this.file = file;
+    }
+
+    async read() {
+        try {
+            return { ...emptyData(), ...JSON.parse(await fsp.readFile(this.file, 'utf8')) };
+        } catch (error) {
+            if (error.code === 'ENOENT') return emptyData();
+            throw error;
+        }
+    }
+
+    async write(data) {
+        // Write then rename so readers never see a half-written file
+        await fsp.mkdir(path.dirname(this.file), { recursive: true });
+        await fsp.writeFile(`${this.file}.tmp`, JSON.stringify(data, null, 2));
+        await fsp.rename(`${this.file}.tmp`, this.file);
+    }
+}
+
+let sharedStore = null;
+
+// COACH_STORE=file (default) or memory; COACH_STORE_FILE sets where the file lives
+function getCoachStore(env = process.env) {
+    if (!sharedStore) {
+        const kind = env.COACH_STORE || 'file';
+        switch (kind) {
+            case 'memory':
+                sharedStore = new MemoryCoachStore();
+                break;
+            case 'file':
+                sharedStore = new FileCoachStore(env.COACH_STORE_FILE || path.join(__dirname, '..', 'data', 'coach.json'));
+                break;
+            default:
+                throw new Error(`Unknown coach store: ${kind}`);
+        }
+    }
+    return sharedStore;
+}
+
+module.exports = {
+    getCoachStore,
+    MemoryCoachStore,
+    FileCoachStore,
+    CoachError,
+    compareAthletes,
+    calibrationFromAthlete,
+    EXERCISES,
+    ARM_PATTERNS
+};
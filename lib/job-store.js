@@ -0,0 +1,148 @@
+// ============================================
+// KETTLEBELL VBT - Analysis Job Store
+// Pluggable persistence for asynchronous analysis jobs
+// ============================================
+
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOB_STATUSES = ['queued', 'uploading', 'analyzing', 'validating', 'done', 'failed', 'cancelled'];
+const TERMINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+const JOB_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+function newJob(request) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        progress: 0,
+        request,
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+function isTerminal(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+}
+
+// A finished or cancelled job is final: a late progress or result write can't reopen it.
+// update() returns the stored job either way, so callers compare its status with the one they wrote.
+function applyPatch(job, patch) {
+    if (isTerminal(job)) return false;
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    return true;
+}
+
+// Keeps jobs for the life of the process (one warm serverless instance or `vercel dev`)
+class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    async create(request) {
+        const job = newJob(request);
+        this.jobs.set(job.id, job);
+        return { ...job };
+    }
+
+    async get(id) {
+        const job = this.jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    async update(id, patch) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        applyPatch(job, patch);
+        return { ...job };
+    }
+}
+
+// One JSON file per job, so results survive restarts and can be shared by processes on one machine
+class FileJobStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.pending = new Map(); // Job id -> tail of its update chain
+    }
+
+    jobPath(id) {
+        if (typeof id !== 'string' || !JOB_ID_PATTERN.test(id)) return null;
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    async create(request) {
+        const job = newJob(request);
+        await fsp.mkdir(this.dir, { recursive: true });
+        await this.write(job);
+        return job;
+    }
+
+    async get(id) {
+        const file = this.jobPath(id);
+        if (!file) return null;
+        try {
+            return JSON.parse(await fsp.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Read-modify-write is queued per job so a cancel and a progress write can't interleave.
+    // That holds within one process; processes sharing the directory can still race.
+    update(id, patch) {
+        const previous = this.pending.get(id) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const job = await this.get(id);
+            if (!job) return null;
+            if (applyPatch(job, patch)) await this.write(job);
+            return job;
+        });
+        this.pending.set(id, next);
+        next.catch(() => {}).then(() => {
+            if (this.pending.get(id) === next) this.pending.delete(id);
+        });
+        return next;
+    }
+
+    async write(job) {
+        // Write then rename so pollers never read a half-written file
+        const file = this.jobPath(job.id);
+        await fsp.writeFile(`${file}.tmp`, JSON.stringify(job));
+        await fsp.rename(`${file}.tmp`, file);
+    }
+}
+
+let sharedStore = null;
+
+// JOB_STORE=memory (default) or file; JOB_STORE_DIR sets where file jobs live
+function getJobStore(env = process.env) {
+    if (!sharedStore) {
+        const kind = env.JOB_STORE || 'memory';
+        switch (kind) {
+            case 'memory':
+                sharedStore = new MemoryJobStore();
+                break;
+            case 'file':
+                sharedStore = new FileJobStore(env.JOB_STORE_DIR || path.join(os.tmpdir(), 'kb-vbt-jobs'));
+                break;
+            default:
+                throw new Error(`Unknown job store: ${kind}`);
+        }
+    }
+    return sharedStore;
+}
+
+module.exports = {
+    getJobStore,
+    MemoryJobStore,
+    FileJobStore,
+    isTerminal,
+    JOB_STATUSES
+};
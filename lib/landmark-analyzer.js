@@ -0,0 +1,180 @@
+// ============================================
+// KETTLEBELL VBT - Landmark Velocity Analyzer
+// Deterministic rep detection from pose keypoints
+// ============================================
+
+const LiveEngine = require('../live-engine');
+const Protocols = require('../protocols');
+
+// Run a recorded keypoint stream through the live tracker's engine (live-engine.js), so uploads and
+// the live tracker share one landmark -> velocity -> rep -> drop pipeline.
+// keypoints: { width, height, calibration?, frames: [{ timestamp (ms), landmarks: [{ x, y, z }] }] }
+// Landmarks are MediaPipe-normalized (0-1); width/height are the source frame size in pixels,
+// so distances are measured in pixel space where x and y share the same scale.
+// calibration is a record from calibration.js; without one the default shoulder width is used.
+// protocol is the upload form's ({ exercise, armPattern, startingArm, repsPerSet, interval }) plus an
+// optional `test` - a protocols.js record for the baseline, zones and stop rules (Standard by default).
+function analyzeKeypoints(keypoints, protocol = {}) {
+    const recording = {
+        width: keypoints.width || 640,
+        height: keypoints.height || 480,
+        calibration: keypoints.calibration || null,
+        frames: [...(keypoints.frames || [])].sort((a, b) => a.timestamp - b.timestamp)
+    };
+    const { engine } = LiveEngine.replay(recording, {
+        protocol: testProtocol(protocol),
+        exercise: protocol.exercise,
+        armPattern: protocol.armPattern,
+        startingArm: protocol.startingArm
+    });
+
+    const { state } = engine;
+    const reps = state.repLog.map(entry => buildRep(entry, state.startTime));
+    const result = summarizeReps(reps, state, engine.protocol);
+    result.warnings = reps.filter(rep => rep.foreshortened).map(rep => ({
+        code: 'foreshortened',
+        severity: 'info',
+        message: `Rep ${rep.repNumber}: torso turned away from the camera - velocity may be off`,
+        repNumber: rep.repNumber
+    })).concat(state.repLog.filter(entry => entry.expectedArm && entry.expectedArm !== entry.arm).map(entry => ({
+        code: 'arm_mismatch',
+        severity: 'info',
+        message: `Rep ${entry.repNumber}: ${entry.arm} arm, but the ${protocol.armPattern} pattern expected ${entry.expectedArm}`,
+        repNumber: entry.repNumber
+    })));
+    if (state.noCounts.length > 0) {
+        result.warnings.push({
+            code: 'no_count',
+            severity: 'info',
+            message: `${state.noCounts.length} attempt${state.noCounts.length === 1 ? '' : 's'} not counted ` +
+                `(${[...new Set(state.noCounts)].join(', ')})`
+        });
+    }
+    return result;
+}
+
+// The test protocol with the set layout the athlete entered on the upload form.
+// Throws on a protocol Protocols.normalize rejects.
+function testProtocol(protocol) {
+    const test = protocol.test || Protocols.PRESETS[0];
+    if (typeof test !== 'object' || Array.isArray(test)) {
+        throw new Error('protocol.test must be a test protocol object');
+    }
+    const sets = { ...(test.sets || {}) };
+    if (Number.isFinite(protocol.repsPerSet)) sets.repsPerSet = protocol.repsPerSet;
+    if (Number.isFinite(protocol.interval)) sets.interval = protocol.interval;
+    return Protocols.normalize({ ...test, sets });
+}
+
+// Engine repLog times run from the first rep; uploads report them as video timestamps
+function buildRep(entry, startTime) {
+    return {
+        repNumber: entry.repNumber,
+        arm: entry.arm,
+        startTime: formatTimestamp(startTime + entry.startTime),
+        endTime: formatTimestamp(startTime + entry.endTime),
+        duration: round(entry.endTime - entry.startTime, 2),
+        peakVelocity: entry.peakVelocity,
+        meanVelocity: entry.meanVelocity,
+        zone: entry.zone,
+        phases: entry.phases,
+        foreshortened: entry.foreshortened
+    };
+}
+
+function summarizeReps(reps, state, test) {
+    // velocityScore keeps the 1-10 scale the UI and Gemini use, relative to the fastest rep
+    const maxPeak = Math.max(0, ...reps.map(rep => rep.peakVelocity));
+    reps.forEach(rep => {
+        rep.velocityScore = maxPeak > 0 ? round((rep.peakVelocity / maxPeak) * 10, 1) : 0;
+    });
+
+    const peaks = reps.map(rep => rep.peakVelocity);
+    const fastest = reps.reduce((best, rep) => !best || rep.peakVelocity > best.peakVelocity ? rep : best, null);
+    const slowest = reps.reduce((worst, rep) => !worst || rep.peakVelocity < worst.peakVelocity ? rep : worst, null);
+
+    // Drop-off as the live tracker reports it: the largest drop below each arm's protocol baseline
+    const velocityDropoff = Math.max(0, state.maxDropOff);
+    const sides = state.sideSummary || { sides: {}, asymmetry: null, faster: null };
+
+    return {
+        reps,
+        totalReps: reps.length,
+        avgDuration: round(average(reps.map(rep => rep.duration)), 2),
+        avgVelocity: round(average(peaks), 2),
+        velocityUnit: 'm/s',
+        baselineVelocity: round(state.baseline, 2),
+        fastestRep: fastest ? fastest.repNumber : 0,
+        slowestRep: slowest ? slowest.repNumber : 0,
+        velocityDropoff: round(velocityDropoff, 1),
+        sides,
+        stop: state.stop,
+        protocol: { id: test.id, name: test.name, zones: test.zones },
+        coachingNotes: buildCoachingNotes(reps, state, test, velocityDropoff) + describeSides(sides),
+        warnings: [],
+        source: 'keypoints'
+    };
+}
+
+function buildCoachingNotes(reps, state, test, velocityDropoff) {
+    if (reps.length === 0) {
+        return 'No reps detected in the keypoint stream. Check that the full upper body stays in frame.';
+    }
+
+    const last = reps[reps.length - 1];
+    let zone = 'Velocity held within the optimal zone.';
+    if (velocityDropoff >= test.zones.critical) {
+        zone = `Drop-off passed ${test.zones.critical}% - the set reached threshold.`;
+    } else if (velocityDropoff >= test.zones.warning) {
+        zone = `Drop-off passed ${test.zones.warning}% - fatigue onset.`;
+    }
+    const stop = state.stop ? ` ${test.name} stop rule at rep ${state.stop.repNumber}: ${state.stop.reason}.` : '';
+    const baselineReps = `${test.baseline.method === 'best' ? 'best of' : 'first'} ${test.baseline.reps} reps`;
+
+    return `${reps.length} reps measured from pose keypoints. ` +
+        `Baseline (${baselineReps}): ${state.baseline.toFixed(2)} m/s peak. ` +
+        `Last rep: ${last.peakVelocity.toFixed(2)} m/s, max drop ${velocityDropoff.toFixed(1)}%. ${zone}${stop}` +
+        describePhaseAverages(reps);
+}
+
+// " Average phases: drive 0.45s, float 0.23s, lockout 0.40s."
+function describePhaseAverages(reps) {
+    const durations = {};
+    reps.forEach(rep => (rep.phases || []).forEach(phase => {
+        (durations[phase.name] = durations[phase.name] || []).push(phase.duration);
+    }));
+    const names = Object.keys(durations);
+    if (names.length === 0) return '';
+    return ` Average phases: ${names.map(name => `${name} ${average(durations[name]).toFixed(2)}s`).join(', ')}.`;
+}
+
+// " Left: 2.10 m/s baseline, 12.0% drop. Right: ... Asymmetry 8.0% (Right faster)."
+function describeSides({ sides, asymmetry, faster }) {
+    if (!sides.Left || !sides.Right) return '';
+    const side = (arm) => `${arm}: ${sides[arm].baseline.toFixed(2)} m/s baseline, ${sides[arm].dropoff.toFixed(1)}% drop.`;
+    const balance = asymmetry === null ? '' : ` Asymmetry ${asymmetry.toFixed(1)}%${faster ? ` (${faster} faster)` : ''}.`;
+    return ` ${side('Left')} ${side('Right')}${balance}`;
+}
+
+function formatTimestamp(seconds) {
+    const tenths = Math.round(seconds * 10);
+    const minutes = Math.floor(tenths / 600);
+    const rest = (tenths % 600) / 10;
+    return `${String(minutes).padStart(2, '0')}:${rest.toFixed(1).padStart(4, '0')}`;
+}
+
+function average(values) {
+    if (!values || values.length === 0) return 0;
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    analyzeKeypoints,
+    testProtocol,
+    formatTimestamp
+};
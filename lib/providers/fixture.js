@@ -0,0 +1,82 @@
+// ============================================
+// KETTLEBELL VBT - Fixture Provider
+// Replays recorded model responses from disk (CI, offline dev)
+// ============================================
+
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Responses are looked up most-specific first:
+//   <dir>/<model>/<video hash>.json, <dir>/<video hash>.json,
+//   <dir>/<model>/<exercise>.json,   <dir>/<exercise>.json,
+//   <dir>/<model>/default.json,      <dir>/default.json
+function createFixtureProvider({ dir, model }) {
+    return {
+        name: 'fixture',
+        model,
+
+        async generate({ video, videoPath, protocol }) {
+            const key = await videoKey({ video, videoPath });
+            const candidates = fixtureNames(key, protocol).flatMap(name => [
+                path.join(dir, model, name),
+                path.join(dir, name)
+            ]);
+
+            for (const file of candidates) {
+                try {
+                    return await fs.readFile(file, 'utf8');
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+
+            throw new Error(`No fixture response found in ${dir} for model ${model}`);
+        }
+    };
+}
+
+// Wrap a live provider so every response is written out as a replayable fixture
+function recordingProvider(provider, dir) {
+    return {
+        ...provider,
+
+        async generate(request) {
+            const text = await provider.generate(request);
+            const file = path.join(dir, provider.model, `${await videoKey(request)}.json`);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, text);
+            return text;
+        }
+    };
+}
+
+function fixtureNames(key, protocol) {
+    const names = [];
+    if (key) names.push(`${key}.json`);
+    if (protocol && protocol.exercise) names.push(`${protocol.exercise}.json`);
+    names.push('default.json');
+    return names;
+}
+
+// Same key for a video whether it was sent inline (base64) or uploaded by reference
+async function videoKey({ video, videoPath }) {
+    const hash = crypto.createHash('sha256');
+    if (videoPath) {
+        for await (const chunk of createReadStream(videoPath)) {
+            hash.update(chunk);
+        }
+    } else if (video) {
+        hash.update(Buffer.from(video, 'base64'));
+    } else {
+        return null;
+    }
+    return hash.digest('hex').slice(0, 16);
+}
+
+module.exports = {
+    createFixtureProvider,
+    recordingProvider,
+    videoKey
+};
@@ -0,0 +1,81 @@
+// ============================================
+// KETTLEBELL VBT - Gemini Provider
+// ============================================
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleAIFileManager, FileState } = require('@google/generative-ai/server');
+
+const FILE_POLL_MS = 2000;
+
+function createGeminiProvider({ apiKey, model }) {
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is not configured');
+    }
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const fileManager = new GoogleAIFileManager(apiKey);
+
+    // Uploaded videos are reused across retries and the validation re-prompt
+    const uploadedFiles = new Map();
+
+    async function uploadVideo(videoPath, mimeType, signal) {
+        if (!uploadedFiles.has(videoPath)) {
+            uploadedFiles.set(videoPath, fileManager.uploadFile(videoPath, { mimeType }).then(result => result.file));
+        }
+
+        let file;
+        try {
+            file = await uploadedFiles.get(videoPath);
+        } catch (error) {
+            uploadedFiles.delete(videoPath);
+            throw error;
+        }
+
+        // Videos are processed asynchronously before they can be referenced
+        while (file.state === FileState.PROCESSING) {
+            if (signal && signal.aborted) throw new Error('Request aborted');
+            await new Promise(resolve => setTimeout(resolve, FILE_POLL_MS));
+            file = await fileManager.getFile(file.name, { signal });
+        }
+        if (file.state === FileState.FAILED) {
+            throw new Error('Gemini could not process the uploaded video');
+        }
+        return file;
+    }
+
+    return {
+        name: 'gemini',
+        model,
+
+        async generate({ video, videoPath, mimeType, prompt, signal, onStage }) {
+            // Call Gemini with JSON mode
+            const generativeModel = genAI.getGenerativeModel({
+                model,
+                generationConfig: {
+                    responseMimeType: 'application/json'
+                }
+            });
+
+            // Large uploads go through the File API; small ones stay inline
+            let videoPart;
+            if (videoPath) {
+                if (onStage) onStage('uploading');
+                const file = await uploadVideo(videoPath, mimeType, signal);
+                videoPart = { fileData: { mimeType: file.mimeType, fileUri: file.uri } };
+                if (onStage) onStage('analyzing');
+            } else {
+                videoPart = { inlineData: { mimeType: mimeType || 'video/mp4', data: video } };
+            }
+
+            const result = await generativeModel.generateContent([
+                videoPart,
+                { text: prompt }
+            ], { signal });
+
+            const response = await result.response;
+            return response.text();
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
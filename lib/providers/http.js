@@ -0,0 +1,37 @@
+// ============================================
+// KETTLEBELL VBT - Local HTTP Provider
+// Stand-in model server speaking a minimal JSON protocol
+// ============================================
+
+// POST { model, prompt, mimeType, video | videoPath } -> { text } (or a plain-text body)
+// Uploaded videos are passed as a local path since the stand-in runs on the same machine
+function createHttpProvider({ url, model }) {
+    if (!url) {
+        throw new Error('ANALYSIS_HTTP_URL is not configured');
+    }
+
+    return {
+        name: 'http',
+        model,
+
+        async generate({ video, videoPath, mimeType, prompt, signal }) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model, prompt, mimeType, video, videoPath }),
+                signal
+            });
+
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+            const contentType = response.headers.get('content-type') || '';
+            if (contentType.includes('application/json')) {
+                const data = await response.json();
+                return typeof data.text === 'string' ? data.text : JSON.stringify(data);
+            }
+            return response.text();
+        }
+    };
+}
+
+module.exports = { createHttpProvider };
@@ -0,0 +1,85 @@
+// ============================================
+// KETTLEBELL VBT - Analysis Providers
+// Selects the model backend for /api/analyze from configuration
+// ============================================
+
+const path = require('path');
+const { withRetry } = require('../retry');
+const { createGeminiProvider } = require('./gemini');
+const { createFixtureProvider, recordingProvider } = require('./fixture');
+const { createHttpProvider } = require('./http');
+
+// Per-provider defaults; override with ANALYSIS_<NAME>_TIMEOUT_MS / ANALYSIS_<NAME>_RETRIES
+const PROVIDER_DEFAULTS = {
+    gemini: { model: 'gemini-1.5-pro', timeoutMs: 120000, retries: 2 },
+    fixture: { model: 'gemini-1.5-pro', timeoutMs: 5000, retries: 0 },
+    http: { model: 'local', timeoutMs: 60000, retries: 1 }
+};
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'responses');
+
+// Resolve provider settings from the environment plus optional per-request overrides.
+// Returns null when nothing is configured (no ANALYSIS_PROVIDER and no GEMINI_API_KEY).
+function getProviderConfig(env = process.env, overrides = {}) {
+    const name = overrides.provider || env.ANALYSIS_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : null);
+    if (!name) return null;
+
+    const defaults = PROVIDER_DEFAULTS[name];
+    if (!defaults) {
+        throw new Error(`Unknown analysis provider: ${name}`);
+    }
+
+    const prefix = `ANALYSIS_${name.toUpperCase()}`;
+    return {
+        name,
+        model: overrides.model || env.ANALYSIS_MODEL || defaults.model,
+        timeoutMs: toInt(env[`${prefix}_TIMEOUT_MS`], defaults.timeoutMs),
+        retries: toInt(env[`${prefix}_RETRIES`], defaults.retries),
+        apiKey: env.GEMINI_API_KEY,
+        fixtureDir: env.ANALYSIS_FIXTURE_DIR || DEFAULT_FIXTURE_DIR,
+        recordDir: env.ANALYSIS_RECORD_DIR,
+        httpUrl: env.ANALYSIS_HTTP_URL || 'http://localhost:8787/generate'
+    };
+}
+
+// Build a provider whose generate() applies the configured timeout and retries
+function createProvider(config) {
+    let provider;
+    switch (config.name) {
+        case 'gemini':
+            provider = createGeminiProvider({ apiKey: config.apiKey, model: config.model });
+            break;
+        case 'fixture':
+            provider = createFixtureProvider({ dir: config.fixtureDir, model: config.model });
+            break;
+        case 'http':
+            provider = createHttpProvider({ url: config.httpUrl, model: config.model });
+            break;
+        default:
+            throw new Error(`Unknown analysis provider: ${config.name}`);
+    }
+
+    if (config.recordDir && config.name !== 'fixture') {
+        provider = recordingProvider(provider, config.recordDir);
+    }
+
+    return {
+        name: provider.name,
+        model: provider.model,
+        generate: (request) => withRetry(
+            (signal) => provider.generate({ ...request, signal }),
+            { retries: config.retries, timeoutMs: config.timeoutMs, signal: request.signal }
+        )
+    };
+}
+
+function toInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+module.exports = {
+    getProviderConfig,
+    createProvider,
+    PROVIDER_DEFAULTS
+};
@@ -0,0 +1,246 @@
+// ============================================
+// KETTLEBELL VBT - Rep Payload Schema
+// Validates and repairs model rep output before it reaches athletes
+// ============================================
+
+const { formatTimestamp } = require('./landmark-analyzer');
+
+// Canonical MM:SS.s timestamps, as requested in buildPrompt
+const TIMESTAMP_PATTERN = /^\d{2}:\d{2}\.\d$/;
+// Near misses we can normalise (M:SS, MM:SS.ss, SS.s)
+const LENIENT_TIMESTAMP_PATTERN = /^(?:(\d{1,2}):)?(\d{1,2}(?:\.\d+)?)$/;
+
+const ARMS = ['Left', 'Right', 'Both'];
+const DURATION_TOLERANCE = 0.15; // seconds between reported and timestamp duration
+
+// Violations that make the payload untrustworthy and trigger a re-prompt.
+// Everything else is repaired silently apart from an informational warning.
+const ERROR_CODES = new Set([
+    'invalid_json',
+    'missing_reps',
+    'invalid_rep',
+    'invalid_timestamp',
+    'end_before_start',
+    'rep_order',
+    'arm_mismatch'
+]);
+
+function warning(code, message, details = {}) {
+    return {
+        code,
+        severity: ERROR_CODES.has(code) ? 'error' : 'info',
+        message,
+        ...details
+    };
+}
+
+// Validate the reps array of a parsed model payload against the protocol.
+// Returns repaired reps (invalid ones dropped, the rest renumbered) plus every violation found.
+function validateReps(data, protocol) {
+    const warnings = [];
+
+    if (!data || !Array.isArray(data.reps)) {
+        warnings.push(warning('missing_reps', 'Response has no "reps" array'));
+        return { reps: [], warnings };
+    }
+
+    const candidates = [];
+    data.reps.forEach((rep, index) => {
+        const label = rep && rep.repNumber !== undefined ? rep.repNumber : index + 1;
+
+        if (!rep || typeof rep !== 'object') {
+            warnings.push(warning('invalid_rep', `Rep entry ${index + 1} is not an object`, { repNumber: label }));
+            return;
+        }
+
+        const start = parseTimestamp(rep.startTime, 'startTime', label, warnings);
+        const end = parseTimestamp(rep.endTime, 'endTime', label, warnings);
+        if (start === null || end === null) return;
+
+        if (end <= start) {
+            warnings.push(warning('end_before_start',
+                `Rep ${label}: endTime ${rep.endTime} is not after startTime ${rep.startTime}`,
+                { repNumber: label, field: 'endTime' }));
+            return;
+        }
+
+        const duration = Math.round((end - start) * 100) / 100;
+        if (typeof rep.duration === 'number' && Math.abs(rep.duration - duration) > DURATION_TOLERANCE) {
+            warnings.push(warning('duration_mismatch',
+                `Rep ${label}: duration ${rep.duration}s recomputed as ${duration}s from timestamps`,
+                { repNumber: label, field: 'duration' }));
+        }
+
+        candidates.push({
+            reportedNumber: rep.repNumber,
+            start,
+            end,
+            duration,
+            arm: normalizeArm(rep.arm),
+            rawArm: rep.arm,
+            velocityScore: validateVelocityScore(rep.velocityScore, label, warnings)
+        });
+    });
+
+    // Rep numbers must increase monotonically with time
+    let previous = -Infinity;
+    let ordered = true;
+    candidates.forEach(rep => {
+        if (typeof rep.reportedNumber !== 'number' || rep.reportedNumber <= previous) ordered = false;
+        previous = typeof rep.reportedNumber === 'number' ? rep.reportedNumber : previous;
+    });
+    const sorted = [...candidates].sort((a, b) => a.start - b.start);
+    if (!ordered || sorted.some((rep, i) => rep !== candidates[i])) {
+        warnings.push(warning('rep_order', 'Rep numbers are not monotonically increasing in time; reps were renumbered'));
+    }
+
+    const firstStart = sorted.length ? sorted[0].start : 0;
+    const reps = sorted.map((rep, index) => {
+        const repNumber = index + 1;
+        let arm = rep.arm;
+
+        if (!arm) {
+            warnings.push(warning('invalid_arm', `Rep ${repNumber}: unrecognised arm "${rep.rawArm}"`,
+                { repNumber, field: 'arm' }));
+        }
+
+        const expected = expectedArm(protocol, index, rep.start - firstStart);
+        if (expected && arm !== expected) {
+            if (arm) {
+                warnings.push(warning('arm_mismatch',
+                    `Rep ${repNumber}: arm "${arm}" contradicts the ${protocol.armPattern} pattern (expected ${expected})`,
+                    { repNumber, field: 'arm' }));
+            }
+            arm = expected;
+        }
+
+        return {
+            repNumber,
+            arm: arm || 'Unknown',
+            startTime: formatTimestamp(rep.start),
+            endTime: formatTimestamp(rep.end),
+            duration: rep.duration,
+            velocityScore: rep.velocityScore
+        };
+    });
+
+    return { reps, warnings };
+}
+
+// Which arm the protocol says this rep uses (mirrors getArmContext in api/analyze.js).
+// Returns null when the pattern leaves it to visual observation.
+function expectedArm(protocol, index, secondsFromFirstRep) {
+    if (!protocol) return null;
+    const starting = normalizeArm(protocol.startingArm) || 'Left';
+    const other = starting === 'Left' ? 'Right' : 'Left';
+
+    switch (protocol.armPattern) {
+        case 'left-only':
+            return 'Left';
+        case 'right-only':
+            return 'Right';
+        case 'both':
+            return 'Both';
+        case 'alternating-reps':
+            return index % 2 === 0 ? starting : other;
+        case 'alternating-sets': {
+            // Sets start every `interval` seconds; fall back to repsPerSet when no interval is known
+            const set = protocol.interval > 0
+                ? Math.floor(secondsFromFirstRep / protocol.interval)
+                : Math.floor(index / (protocol.repsPerSet || 1));
+            return set % 2 === 0 ? starting : other;
+        }
+        default:
+            return null;
+    }
+}
+
+// Compare the model's own summary against values recomputed from the reps
+function compareSummary(reported, computed) {
+    const warnings = [];
+    if (!reported || typeof reported !== 'object') return warnings;
+
+    const fields = {
+        totalReps: 0,
+        avgDuration: 0.05,
+        avgVelocity: 0.1,
+        fastestRep: 0,
+        slowestRep: 0,
+        velocityDropPercent: 1
+    };
+
+    Object.entries(fields).forEach(([field, tolerance]) => {
+        if (reported[field] === undefined || computed[field] === null) return;
+        if (typeof reported[field] !== 'number' || Math.abs(reported[field] - computed[field]) > tolerance) {
+            warnings.push(warning('summary_mismatch',
+                `summary.${field} reported as ${reported[field]}, recomputed as ${computed[field]}`,
+                { field: `summary.${field}` }));
+        }
+    });
+
+    return warnings;
+}
+
+function hasErrors(warnings) {
+    return warnings.some(item => item.severity === 'error');
+}
+
+function parseTimestamp(value, field, repNumber, warnings) {
+    if (typeof value !== 'string') {
+        warnings.push(warning('invalid_timestamp', `Rep ${repNumber}: ${field} is missing`, { repNumber, field }));
+        return null;
+    }
+
+    const trimmed = value.trim();
+    const match = trimmed.match(LENIENT_TIMESTAMP_PATTERN);
+    if (!match) {
+        warnings.push(warning('invalid_timestamp', `Rep ${repNumber}: ${field} "${value}" is not MM:SS.s`,
+            { repNumber, field }));
+        return null;
+    }
+
+    const minutes = match[1] ? parseInt(match[1], 10) : 0;
+    const seconds = parseFloat(match[2]);
+    if (seconds >= 60) {
+        warnings.push(warning('invalid_timestamp', `Rep ${repNumber}: ${field} "${value}" has ${seconds} seconds`,
+            { repNumber, field }));
+        return null;
+    }
+
+    if (!TIMESTAMP_PATTERN.test(trimmed)) {
+        warnings.push(warning('timestamp_format', `Rep ${repNumber}: ${field} "${value}" normalised to MM:SS.s`,
+            { repNumber, field }));
+    }
+
+    return minutes * 60 + seconds;
+}
+
+function validateVelocityScore(value, repNumber, warnings) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+        warnings.push(warning('invalid_velocity', `Rep ${repNumber}: velocityScore is missing or not a number`,
+            { repNumber, field: 'velocityScore' }));
+        return null;
+    }
+    if (value < 1 || value > 10) {
+        const clamped = Math.min(10, Math.max(1, value));
+        warnings.push(warning('velocity_out_of_range', `Rep ${repNumber}: velocityScore ${value} clamped to ${clamped}`,
+            { repNumber, field: 'velocityScore' }));
+        return clamped;
+    }
+    return value;
+}
+
+function normalizeArm(arm) {
+    if (typeof arm !== 'string') return null;
+    const lower = arm.trim().toLowerCase();
+    return ARMS.find(name => name.toLowerCase() === lower) || null;
+}
+
+module.exports = {
+    validateReps,
+    compareSummary,
+    expectedArm,
+    hasErrors,
+    warning,
+    TIMESTAMP_PATTERN
+};
@@ -0,0 +1,77 @@
+// ============================================
+// KETTLEBELL VBT - Timeout & Retry Helper
+// Server-side counterpart of fetchWithBackoff in app.JS
+// ============================================
+
+// Run fn(signal) with a per-attempt timeout and exponential backoff between attempts.
+// `retries` is the number of extra attempts after the first one.
+async function withRetry(fn, { retries = 0, timeoutMs = 0, delayMs = 1000, signal } = {}) {
+    let attempt = 0;
+    let delay = delayMs;
+
+    while (true) {
+        if (signal && signal.aborted) throw abortError(signal);
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        const timer = timeoutMs > 0
+            ? setTimeout(() => controller.abort(new TimeoutError(timeoutMs)), timeoutMs)
+            : null;
+
+        try {
+            return await raceAbort(fn(controller.signal), controller.signal);
+        } catch (error) {
+            attempt++;
+            // Caller cancellations are final; timeouts and provider errors are retried
+            if ((signal && signal.aborted) || attempt > retries) throw error;
+            await sleep(delay, signal);
+            delay *= 2; // Exponential backoff
+        } finally {
+            if (timer) clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+}
+
+// Not every client honours AbortSignal, so the timeout also rejects the pending promise
+function raceAbort(promise, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(abortError(signal));
+        signal.addEventListener('abort', () => reject(abortError(signal)), { once: true });
+        promise.then(resolve, reject);
+    });
+}
+
+function abortError(signal) {
+    return signal.reason instanceof Error ? signal.reason : new Error('Request aborted');
+}
+
+class TimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`Request timed out after ${timeoutMs}ms`);
+        this.name = 'TimeoutError';
+    }
+}
+
+// Backoff wait that ends early, rejecting, when the caller cancels
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(abortError(signal));
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+module.exports = {
+    withRetry,
+    TimeoutError
+};
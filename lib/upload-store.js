@@ -0,0 +1,242 @@
+// ============================================
+// KETTLEBELL VBT - Chunked Upload Store
+// Resumable multi-part uploads reassembled on local disk
+// ============================================
+//
+// Uploads live in UPLOAD_DIR on the local disk of the instance that received them. Every part,
+// the reassembly and the analysis that reads the video must reach the same instance (vercel dev or
+// one long-lived Node process), or UPLOAD_DIR must be a directory all instances share.
+// Uploads untouched for UPLOAD_TTL_HOURS (default 24) are deleted the next time one is created.
+
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Parts stay under the ~4.5MB serverless request body limit
+const PART_SIZE = 4 * 1024 * 1024;
+// Largest file the Gemini File API accepts
+const MAX_UPLOAD_BYTES = 2 * 1024 * 1024 * 1024;
+
+const UPLOAD_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+const DEFAULT_TTL_HOURS = 24;
+// Sweeping for expired uploads at most this often per process
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+let lastSweep = 0;
+
+class UploadError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+function uploadRoot() {
+    return process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'kb-vbt-uploads');
+}
+
+function uploadDir(uploadId) {
+    if (typeof uploadId !== 'string' || !UPLOAD_ID_PATTERN.test(uploadId)) {
+        throw new UploadError(400, 'Invalid upload ID');
+    }
+    return path.join(uploadRoot(), uploadId);
+}
+
+async function readMeta(uploadId) {
+    try {
+        return JSON.parse(await fsp.readFile(path.join(uploadDir(uploadId), 'meta.json'), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new UploadError(404, 'Upload not found');
+        throw error;
+    }
+}
+
+async function writeMeta(meta) {
+    await fsp.writeFile(path.join(uploadDir(meta.uploadId), 'meta.json'), JSON.stringify(meta));
+}
+
+async function createUpload({ fileName, mimeType, size }) {
+    if (!Number.isInteger(size) || size <= 0) {
+        throw new UploadError(400, 'Upload size must be a positive integer');
+    }
+    if (size > MAX_UPLOAD_BYTES) {
+        throw new UploadError(413, 'Video file must be under 2GB');
+    }
+    if (typeof mimeType !== 'string' || !mimeType.startsWith('video/')) {
+        throw new UploadError(400, 'Only video uploads are supported');
+    }
+
+    // Creating an upload is when old ones get cleared out; a failed sweep doesn't block the upload
+    if (Date.now() - lastSweep > SWEEP_INTERVAL_MS) {
+        lastSweep = Date.now();
+        expireUploads().catch(error => console.error('Upload cleanup failed:', error));
+    }
+
+    const meta = {
+        uploadId: crypto.randomUUID(),
+        fileName: path.basename(String(fileName || 'video')),
+        mimeType,
+        size,
+        partSize: PART_SIZE,
+        totalParts: Math.ceil(size / PART_SIZE),
+        complete: false,
+        createdAt: new Date().toISOString()
+    };
+
+    await fsp.mkdir(uploadDir(meta.uploadId), { recursive: true });
+    await writeMeta(meta);
+    return meta;
+}
+
+async function writePart(uploadId, index, data) {
+    const meta = await readMeta(uploadId);
+    if (meta.complete) throw new UploadError(409, 'Upload already completed');
+    if (!Number.isInteger(index) || index < 0 || index >= meta.totalParts) {
+        throw new UploadError(400, `Part must be between 0 and ${meta.totalParts - 1}`);
+    }
+
+    const isLast = index === meta.totalParts - 1;
+    const expected = isLast ? meta.size - meta.partSize * index : meta.partSize;
+    if (data.length !== expected) {
+        throw new UploadError(400, `Part ${index} must be ${expected} bytes, got ${data.length}`);
+    }
+
+    // Write then rename so an interrupted part never looks received
+    const partPath = path.join(uploadDir(uploadId), `part-${index}`);
+    await fsp.writeFile(`${partPath}.tmp`, data);
+    await fsp.rename(`${partPath}.tmp`, partPath);
+    return { part: index, size: data.length };
+}
+
+async function getStatus(uploadId) {
+    const meta = await readMeta(uploadId);
+    const files = await fsp.readdir(uploadDir(uploadId));
+    const receivedParts = files
+        .filter(name => /^part-\d+$/.test(name))
+        .map(name => parseInt(name.slice(5), 10))
+        .sort((a, b) => a - b);
+
+    return {
+        uploadId,
+        fileName: meta.fileName,
+        mimeType: meta.mimeType,
+        size: meta.size,
+        partSize: meta.partSize,
+        totalParts: meta.totalParts,
+        receivedParts: meta.complete ? [] : receivedParts,
+        complete: meta.complete
+    };
+}
+
+// Reassemble the parts in order into a single video file
+async function completeUpload(uploadId) {
+    const meta = await readMeta(uploadId);
+    if (meta.complete) return toVideoRef(meta);
+
+    const status = await getStatus(uploadId);
+    const missing = [];
+    for (let i = 0; i < meta.totalParts; i++) {
+        if (!status.receivedParts.includes(i)) missing.push(i);
+    }
+    if (missing.length > 0) {
+        throw new UploadError(409, `Missing parts: ${missing.join(', ')}`);
+    }
+
+    const dir = uploadDir(uploadId);
+    const videoPath = path.join(dir, 'video');
+    try {
+        const output = await fsp.open(videoPath, 'w');
+        try {
+            for (let i = 0; i < meta.totalParts; i++) {
+                await output.write(await fsp.readFile(path.join(dir, `part-${i}`)));
+            }
+        } finally {
+            await output.close();
+        }
+
+        const { size } = await fsp.stat(videoPath);
+        if (size !== meta.size) {
+            throw new UploadError(500, `Reassembled ${size} bytes, expected ${meta.size}`);
+        }
+    } catch (error) {
+        // Keep the parts so completing can be retried, but not a half-written video
+        await fsp.rm(videoPath, { force: true });
+        throw error;
+    }
+
+    // The video holds everything now - drop the parts (and any interrupted part writes)
+    const leftovers = (await fsp.readdir(dir)).filter(name => /^part-\d+(\.tmp)?$/.test(name));
+    await Promise.all(leftovers.map(name => fsp.rm(path.join(dir, name), { force: true })));
+    meta.complete = true;
+    await writeMeta(meta);
+    return toVideoRef(meta);
+}
+
+async function deleteUpload(uploadId) {
+    await fsp.rm(uploadDir(uploadId), { recursive: true, force: true });
+}
+
+// Delete uploads - finished or not - with no activity for the TTL. A part write, completion or new
+// upload touches the directory, so its mtime is the last activity. Returns the IDs removed.
+async function expireUploads(now = Date.now()) {
+    const ttlHours = parseFloat(process.env.UPLOAD_TTL_HOURS);
+    const ttlMs = (ttlHours > 0 ? ttlHours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+    let names;
+    try {
+        names = await fsp.readdir(uploadRoot());
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const expired = [];
+    for (const name of names.filter(item => UPLOAD_ID_PATTERN.test(item))) {
+        const dir = path.join(uploadRoot(), name);
+        try {
+            const { mtimeMs } = await fsp.stat(dir);
+            if (now - mtimeMs < ttlMs) continue;
+            await fsp.rm(dir, { recursive: true, force: true });
+            expired.push(name);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    return expired;
+}
+
+// Resolve a videoRef returned by completeUpload to the file on disk
+async function resolveVideo(videoRef) {
+    const meta = await readMeta(videoRef);
+    if (!meta.complete) throw new UploadError(409, 'Upload is not complete');
+    return {
+        path: path.join(uploadDir(videoRef), 'video'),
+        mimeType: meta.mimeType,
+        fileName: meta.fileName,
+        size: meta.size
+    };
+}
+
+function toVideoRef(meta) {
+    return {
+        videoRef: meta.uploadId,
+        fileName: meta.fileName,
+        mimeType: meta.mimeType,
+        size: meta.size
+    };
+}
+
+module.exports = {
+    createUpload,
+    writePart,
+    getStatus,
+    completeUpload,
+    deleteUpload,
+    expireUploads,
+    resolveVideo,
+    UploadError,
+    PART_SIZE,
+    MAX_UPLOAD_BYTES
+};
@@ -0,0 +1,255 @@
+// ============================================
+// KETTLEBELL VBT - Live Engine
+// Landmarks -> wrist velocity -> reps -> baseline and drop zones, without the DOM
+// ============================================
+//
+// The live tracker feeds it one MediaPipe pose per frame; Node scripts and tests replay recorded
+// landmark sequences through it the same way (test/live-engine.test.js).
+//
+// createEngine({ protocol, exercise, armPattern, startingArm, calibration })
+//   process(landmarks, timestamp, width, height)
+//       landmarks: MediaPipe-normalized (0-1) pose, timestamp in ms, width/height of the frame in pixels.
+//       Returns { t, side, wrist, height, velocity, scale, events } - side/wrist/height/velocity stay null
+//       on frames where nothing was measured.
+//   finish()  events for a rep still held at the top when the stream ends
+//   setCalibration(record)  switch to a new calibration.js record mid-test
+//   state     { reps, baseline, maxDropOff, repLog, sideSummary, noCounts, stop, startTime } of the test so far
+//
+// Events: { type: 'rep', rep, result } - rep is the repLog entry, result what Protocols' tracker made
+// of it (phase, baseline, drop, zone, stop) - or { type: 'no-count', reason, t } from rep-models.js.
+//
+// replay(recording) runs a whole recorded set through a new engine.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rep-models'), require('./protocols'), require('./calibration'));
+    } else {
+        root.LiveEngine = factory(root.RepModels, root.Protocols, root.Calibration);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RepModels, Protocols, Calibration) {
+    const DEFAULTS = {
+        velocitySmoothing: 3,   // Frames to average
+        leaderWindow: 20        // Seconds of bell-hand history kept to name each rep's arm
+    };
+
+    const MAX_FRAME_GAP = 1.0; // Seconds - larger gaps are treated as a jump
+
+    // MediaPipe Pose landmark indices
+    const LANDMARKS = {
+        leftShoulder: 11,
+        rightShoulder: 12,
+        leftWrist: 15,
+        rightWrist: 16,
+        leftHip: 23,
+        rightHip: 24
+    };
+
+    function createEngine(options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        const testTracker = Protocols.createTracker(settings.protocol || Protocols.PRESETS[0]);
+        const protocol = testTracker.protocol;
+        const repTracker = RepModels.createRepTracker(settings.exercise);
+        const sides = getTrackedSides(settings.armPattern);
+        let scaler = Calibration.createScaler(settings.calibration || null);
+
+        // Per tracked side: { history (previous positions), velocities (for smoothing), velocity }
+        const wrists = {};
+        sides.forEach(side => {
+            wrists[side] = { history: [], velocities: [], velocity: 0 };
+        });
+        let leaders = []; // { t, side, velocity } of the working wrist per frame, to name each rep's arm
+        let lastTimestamp = 0;
+
+        const state = {
+            reps: 0,
+            baseline: 0,
+            maxDropOff: 0,
+            repLog: [], // { repNumber, set, arm, expectedArm, startTime, endTime, peakVelocity, meanVelocity, zone, phases, foreshortened }
+            sideSummary: null, // testTracker.getSummary() of the reps so far
+            noCounts: [], // Reasons of attempts the rep model rejected
+            stop: null, // { repNumber, reason } of the first rep that fired a stop rule
+            startTime: null // Start of the first rep (seconds); repLog times are relative to it
+        };
+
+        function process(landmarks, timestamp, width, height) {
+            const sample = { t: timestamp / 1000, side: null, wrist: null, height: null, velocity: null, scale: null, events: [] };
+            if (!landmarks || landmarks.length <= LANDMARKS.rightHip) return sample;
+
+            // 1. Calibration (metres per pixel). Landmarks are normalized per axis, so everything is
+            //    measured in pixels, where x and y share a scale.
+            const scale = scaler(landmarks, width, height);
+            sample.scale = scale;
+            if (!scale) return sample;
+
+            // 2. Wrists to follow depend on the arm pattern; height relative to the torso tells the
+            //    rep models where the bell is
+            const toPx = (point) => ({ x: point.x * width, y: point.y * height });
+            const shoulderMid = midpoint(toPx(landmarks[LANDMARKS.leftShoulder]), toPx(landmarks[LANDMARKS.rightShoulder]));
+            const hipMid = midpoint(toPx(landmarks[LANDMARKS.leftHip]), toPx(landmarks[LANDMARKS.rightHip]));
+            const trackers = sides.map(side => {
+                const wrist = getWristPosition(landmarks, side, toPx);
+                return { side, wrist, height: RepModels.relativeHeight(wrist, shoulderMid, hipMid) };
+            });
+
+            // After a gap (or a clock that went backwards) the last positions are stale: start the
+            // wrists over from this frame, so a pose that didn't move doesn't read as a jump
+            const deltaTime = (timestamp - lastTimestamp) / 1000;
+            lastTimestamp = timestamp;
+            if (!(deltaTime > 0 && deltaTime < MAX_FRAME_GAP)) {
+                trackers.forEach(({ side, wrist }) => {
+                    wrists[side] = { history: [wrist], velocities: [], velocity: 0 };
+                });
+                return sample;
+            }
+
+            // 3. Smoothed velocity per wrist
+            trackers.forEach(({ side, wrist }) => {
+                const tracker = wrists[side];
+                if (tracker.history.length > 0) {
+                    const prevWrist = tracker.history[tracker.history.length - 1];
+                    const rawVelocity = (calculateDistance(prevWrist, wrist) * scale.metersPerPixel) / deltaTime;
+                    tracker.velocities.push(rawVelocity);
+                    if (tracker.velocities.length > settings.velocitySmoothing) tracker.velocities.shift();
+                    tracker.velocity = average(tracker.velocities);
+                }
+                tracker.history.push(wrist);
+                if (tracker.history.length > 2) tracker.history.shift();
+            });
+
+            // 4. The bell hand is the higher wrist - the free hand hangs by the hip
+            const working = trackers.reduce((best, tracker) => tracker.height > best.height ? tracker : best);
+            const velocity = wrists[working.side].velocity;
+            if (working.height === null || wrists[working.side].velocities.length === 0) return sample;
+
+            leaders.push({ t: sample.t, side: working.side, velocity });
+            leaders = leaders.filter(item => item.t >= sample.t - settings.leaderWindow);
+            Object.assign(sample, { side: working.side, wrist: working.wrist, height: working.height, velocity });
+
+            // 5. Exercise rep model (rep-models.js) - a rep only counts once the bell reaches the top
+            sample.events = handle(repTracker.update({
+                t: sample.t,
+                h: working.height,
+                speed: velocity,
+                foreshortened: scale.foreshortened
+            }));
+            return sample;
+        }
+
+        function finish() {
+            return handle(repTracker.finish());
+        }
+
+        // Later frames use the new scale; reps already counted keep theirs
+        function setCalibration(record) {
+            scaler = Calibration.createScaler(record || null);
+        }
+
+        function handle(event) {
+            if (!event) return [];
+            if (event.type === 'no-count') {
+                state.noCounts.push(event.reason);
+                return [event];
+            }
+
+            const rep = event.rep;
+            if (state.startTime === null) state.startTime = rep.start;
+
+            const arm = getRepArm(rep);
+            const set = Protocols.setNumber(protocol, state.reps, rep.start - state.startTime);
+            const entry = {
+                repNumber: state.reps + 1,
+                set,
+                arm,
+                expectedArm: expectedArm(state.reps, set),
+                startTime: rep.start - state.startTime,
+                endTime: rep.end - state.startTime,
+                peakVelocity: rep.peakVelocity,
+                meanVelocity: rep.meanVelocity,
+                zone: null,
+                phases: rep.phases,
+                foreshortened: rep.foreshortened
+            };
+            state.reps++;
+            state.repLog.push(entry);
+
+            // Each arm is judged against its own baseline, so alternating arms don't read as drop-off
+            const result = testTracker.addRep(arm, rep.peakVelocity);
+            entry.zone = result.zone || null;
+            state.sideSummary = testTracker.getSummary();
+            const baselines = Object.values(state.sideSummary.sides).filter(item => item.baselineSet).map(item => item.baseline);
+            state.baseline = baselines.length ? average(baselines) : 0;
+            if (result.phase === 'testing' && result.drop > state.maxDropOff) state.maxDropOff = result.drop;
+            if (result.stop && !state.stop) state.stop = { repNumber: entry.repNumber, reason: result.reason };
+
+            return [{ type: 'rep', rep: entry, result }];
+        }
+
+        // The arm is whichever wrist was working at the rep's peak
+        function getRepArm(rep) {
+            const during = leaders.filter(item => item.t >= rep.start && item.t <= rep.end);
+            const peak = during.reduce((best, item) => !best || item.velocity > best.velocity ? item : best, null);
+            return peak ? peak.side : sides[0];
+        }
+
+        // The arm the pattern expects for the rep at `index` (mirrors expectedArm in lib/rep-schema.js).
+        // Alternating sets need the protocol's sets; without them the detected arm is taken as is.
+        function expectedArm(index, set) {
+            const starting = settings.startingArm === 'right' ? 'Right' : 'Left';
+            const other = starting === 'Left' ? 'Right' : 'Left';
+            const { repsPerSet, interval } = protocol.sets;
+            if (settings.armPattern === 'alternating-reps') return index % 2 === 0 ? starting : other;
+            if (settings.armPattern === 'alternating-sets' && (repsPerSet > 0 || interval > 0)) {
+                return set % 2 === 1 ? starting : other;
+            }
+            return null;
+        }
+
+        return { protocol, sides, state, process, finish, setCalibration };
+    }
+
+    // Replay harness: runs a recorded landmark sequence through a new engine and collects its events.
+    // recording: { width, height, calibration?, setup?, frames: [{ timestamp (ms), landmarks }] } - the
+    // keypoints shape /api/analyze takes, plus the engine options it was recorded with (fixtures/landmarks/)
+    function replay(recording, options = {}) {
+        const engine = createEngine({ ...recording.setup, calibration: recording.calibration, ...options });
+        const events = [];
+        recording.frames.forEach(frame => {
+            events.push(...engine.process(frame.landmarks, frame.timestamp, recording.width, recording.height).events);
+        });
+        events.push(...engine.finish());
+        return { engine, events };
+    }
+
+    // Which wrists to follow for an arm pattern (alternating patterns follow both)
+    function getTrackedSides(armPattern) {
+        switch (armPattern) {
+            case 'left-only': return ['Left'];
+            case 'right-only': return ['Right'];
+            case 'both': return ['Both'];
+            default: return ['Left', 'Right'];
+        }
+    }
+
+    function getWristPosition(landmarks, side, toPx) {
+        const left = toPx(landmarks[LANDMARKS.leftWrist]);
+        const right = toPx(landmarks[LANDMARKS.rightWrist]);
+        if (side === 'Left') return left;
+        if (side === 'Right') return right;
+        // Two-hand grip: follow the midpoint between the wrists
+        return midpoint(left, right);
+    }
+
+    function calculateDistance(p1, p2) {
+        return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+    }
+
+    function midpoint(p1, p2) {
+        return { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
+    }
+
+    function average(values) {
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    }
+
+    return { DEFAULTS, LANDMARKS, createEngine, replay, getTrackedSides };
+});
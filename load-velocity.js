@@ -0,0 +1,160 @@
+// ============================================
+// KETTLEBELL VBT - Load-Velocity Profile
+// Per athlete and exercise: velocity vs bell weight, readiness and bell suggestions
+// ============================================
+//
+// Each session with velocities in m/s gives one point: the bell weight and the peak velocity of its
+// first rep (fresh, before fatigue - the same rep readiness is judged on). A straight line is fitted
+// through the points: velocity = intercept + slope x weight.
+//
+// Kettlebells come in few sizes and the velocities are wrist peaks, so the estimate at the minimum
+// velocity threshold (MVT) is an e1RM-style ceiling for tracking trends, not a bell to attempt.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LoadVelocity = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const BELL_WEIGHTS = [4, 6, 8, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 32, 36, 40, 44, 48];
+
+    // Rough peak wrist velocity (m/s) of the slowest rep that still reaches the top position.
+    // Set your own from your last grinding reps - these are starting points.
+    const MIN_VELOCITY = {
+        'swing': 1.5,
+        'snatch': 2.0,
+        'clean': 1.2,
+        'clean-press': 1.2,
+        'jerk': 1.0
+    };
+
+    // Today's first rep vs the profile's prediction for the same bell
+    const READINESS_BANDS = [
+        { min: 1.05, status: 'high', label: 'Above profile - a good day to push' },
+        { min: 0.95, status: 'normal', label: 'On profile - train as planned' },
+        { min: 0.90, status: 'low', label: 'Slightly below profile - keep the plan, watch the drop-off' },
+        { min: 0, status: 'very-low', label: 'Well below profile - go lighter or cut volume' }
+    ];
+
+    // First-rep peak velocity of a session, or null if it has no m/s data
+    function sessionVelocity(session) {
+        const summary = session.summary || {};
+        if (summary.velocityUnit !== 'm/s') return null;
+        const first = (session.reps || [])[0];
+        if (first && typeof first.peakVelocity === 'number') return first.peakVelocity;
+        return summary.baselineVelocity > 0 ? summary.baselineVelocity : null;
+    }
+
+    function collectPoints(sessions) {
+        return sessions
+            .map(session => ({ id: session.id, date: session.date, weight: Number(session.weight), velocity: sessionVelocity(session) }))
+            .filter(point => point.weight > 0 && point.velocity > 0);
+    }
+
+    // Least-squares line through the points. `valid` is false until there are two bell weights
+    // and velocity falls as the bell gets heavier.
+    function fit(points) {
+        const weights = [...new Set(points.map(point => point.weight))];
+        const profile = { points, n: points.length, weights: weights.sort((a, b) => a - b), valid: false };
+        if (weights.length < 2) {
+            profile.reason = 'Needs sessions at two or more bell weights';
+            return profile;
+        }
+
+        const meanX = average(points.map(point => point.weight));
+        const meanY = average(points.map(point => point.velocity));
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        points.forEach(point => {
+            sxx += Math.pow(point.weight - meanX, 2);
+            sxy += (point.weight - meanX) * (point.velocity - meanY);
+            syy += Math.pow(point.velocity - meanY, 2);
+        });
+
+        profile.slope = sxy / sxx;
+        profile.intercept = meanY - profile.slope * meanX;
+        profile.r2 = syy > 0 ? Math.pow(sxy, 2) / (sxx * syy) : 1;
+        if (profile.slope >= 0) {
+            profile.reason = 'Velocity doesn\'t fall with load yet - add sessions at a heavier bell';
+            return profile;
+        }
+        profile.valid = true;
+        return profile;
+    }
+
+    function predictVelocity(profile, weight) {
+        return profile.intercept + profile.slope * weight;
+    }
+
+    function weightForVelocity(profile, velocity) {
+        return (velocity - profile.intercept) / profile.slope;
+    }
+
+    // e1RM-style: the bell weight at which the first rep would slow to the minimum velocity threshold
+    function estimateMax(profile, minVelocity) {
+        if (!profile.valid) return null;
+        return weightForVelocity(profile, minVelocity);
+    }
+
+    // readiness = today's first-rep velocity / the profile's velocity for that bell
+    function readiness(profile, weight, firstRepVelocity) {
+        if (!profile.valid || !(weight > 0) || !(firstRepVelocity > 0)) return null;
+        const expected = predictVelocity(profile, weight);
+        if (!(expected > 0)) return null;
+        const ratio = firstRepVelocity / expected;
+        const band = READINESS_BANDS.find(item => ratio >= item.min);
+        return {
+            expected,
+            actual: firstRepVelocity,
+            ratio,
+            percent: Math.round(ratio * 100),
+            status: band.status,
+            label: band.label,
+            extrapolated: isExtrapolated(profile, weight)
+        };
+    }
+
+    // Heaviest standard bell whose predicted first-rep velocity lands in [min, max] m/s.
+    // A readiness ratio scales the profile to today; with no bell in the zone, the heaviest one
+    // still at or above `min` is suggested.
+    function suggestWeight(profile, { min, max }, ratio = 1, weights = BELL_WEIGHTS) {
+        if (!profile.valid || !(min > 0)) return null;
+        const candidates = weights.map(weight => ({ weight, velocity: predictVelocity(profile, weight) * ratio }));
+        const fastEnough = candidates.filter(item => item.velocity >= min);
+        if (fastEnough.length === 0) return null;
+
+        const inZone = fastEnough.filter(item => !(max > 0) || item.velocity <= max);
+        const pick = (inZone.length ? inZone : fastEnough).reduce((best, item) => item.weight > best.weight ? item : best);
+        return {
+            weight: pick.weight,
+            velocity: pick.velocity,
+            inZone: inZone.length > 0,
+            extrapolated: isExtrapolated(profile, pick.weight)
+        };
+    }
+
+    // Outside the bell weights the profile was built from
+    function isExtrapolated(profile, weight) {
+        return weight < profile.weights[0] || weight > profile.weights[profile.weights.length - 1];
+    }
+
+    function average(values) {
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    }
+
+    return {
+        BELL_WEIGHTS,
+        MIN_VELOCITY,
+        READINESS_BANDS,
+        sessionVelocity,
+        collectPoints,
+        fit,
+        predictVelocity,
+        weightForVelocity,
+        estimateMax,
+        readiness,
+        suggestWeight
+    };
+});
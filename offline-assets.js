@@ -0,0 +1,64 @@
+// ============================================
+// KETTLEBELL VBT - Offline Assets
+// Pinned MediaPipe, model and Tailwind files for the live tracker and its service worker
+// ============================================
+//
+// Each file is pinned to an exact upstream version. `npm run vendor` (scripts/vendor-assets.js)
+// downloads them into vendor/ under the same versioned paths; the page loads those copies and
+// falls back to the CDN when they are missing. Bump a version here and re-run the script to upgrade.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OfflineAssets = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const TASKS_VISION_VERSION = '0.10.0';
+    const POSE_MODEL = 'pose_landmarker_lite/float16/1/pose_landmarker_lite.task';
+    const TAILWIND_VERSION = '3.4.16';
+
+    const TASKS_VISION_CDN = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${TASKS_VISION_VERSION}`;
+    const MODEL_CDN = 'https://storage.googleapis.com/mediapipe-models/pose_landmarker';
+
+    const LOCAL_VISION = `vendor/tasks-vision/${TASKS_VISION_VERSION}`;
+
+    // Where the page looks for each piece, locally and on the CDN
+    const SOURCES = {
+        local: {
+            bundle: `${LOCAL_VISION}/vision-bundle.js`,
+            wasm: `${LOCAL_VISION}/wasm`,
+            model: `vendor/models/${POSE_MODEL}`,
+            tailwind: `vendor/tailwindcss/${TAILWIND_VERSION}/tailwind.js`
+        },
+        remote: {
+            bundle: `${TASKS_VISION_CDN}/vision-bundle.js`,
+            wasm: `${TASKS_VISION_CDN}/wasm`,
+            model: `${MODEL_CDN}/${POSE_MODEL}`,
+            tailwind: `https://cdn.tailwindcss.com/${TAILWIND_VERSION}`
+        }
+    };
+
+    // FilesetResolver picks the SIMD or non-SIMD build at runtime, so both are kept
+    const WASM_FILES = [
+        'vision_wasm_internal.js',
+        'vision_wasm_internal.wasm',
+        'vision_wasm_nosimd_internal.js',
+        'vision_wasm_nosimd_internal.wasm'
+    ];
+
+    // Local path -> pinned upstream URL
+    const FILES = {
+        [SOURCES.local.bundle]: SOURCES.remote.bundle,
+        [SOURCES.local.model]: SOURCES.remote.model,
+        [SOURCES.local.tailwind]: SOURCES.remote.tailwind
+    };
+    WASM_FILES.forEach(name => {
+        FILES[`${SOURCES.local.wasm}/${name}`] = `${SOURCES.remote.wasm}/${name}`;
+    });
+
+    // Changes whenever a pin does, so the service worker drops files from the old versions
+    const VERSION = `tasks-vision-${TASKS_VISION_VERSION}_${POSE_MODEL.split('/')[0]}_tailwind-${TAILWIND_VERSION}`;
+
+    return { TASKS_VISION_VERSION, POSE_MODEL, TAILWIND_VERSION, SOURCES, FILES, VERSION };
+});
@@ -0,0 +1,125 @@
+// ============================================
+// KETTLEBELL VBT - Client-side Pose Extraction
+// ============================================
+
+// Runs MediaPipe Pose over an uploaded video in the browser and returns the keypoint stream
+// /api/analyze and /api/jobs measure reps from ({ width, height, frames }), so analysis works
+// without a model provider. Uses the same pinned MediaPipe files as the live tracker (offline-assets.js).
+//
+// Frames are sampled at KEYPOINT_FPS by seeking, so a long set takes a while but the result doesn't
+// depend on playback speed. Only the landmarks the analysis reads are kept - the others are sent as
+// null - which keeps the request body small enough for a serverless function.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./offline-assets'));
+    } else {
+        root.PoseExtractor = factory(root.OfflineAssets);
+    }
+})(typeof self !== 'undefined' ? self : this, function (OfflineAssets) {
+    const KEYPOINT_FPS = 15;
+    const USED_LANDMARKS = [11, 12, 15, 16, 23, 24]; // Shoulders, wrists, hips
+
+    class PoseExtractor {
+        constructor() {
+            // The landmarker is shared between videos and detectForVideo needs increasing timestamps
+            // across all of them, like lastDetectionTime in the live tracker
+            this.lastDetectionTime = 0;
+        }
+
+        static isSupported() {
+            return typeof OfflineAssets !== 'undefined' && typeof WebAssembly !== 'undefined';
+        }
+
+        // Loads the vendored MediaPipe copy if present, the pinned CDN files otherwise
+        async load() {
+            if (this.landmarker) return this.landmarker;
+
+            const { local, remote } = OfflineAssets.SOURCES;
+            let vision;
+            let source;
+            try {
+                vision = await import(`./${local.bundle}`);
+                source = local;
+            } catch (error) {
+                vision = await import(remote.bundle);
+                source = remote;
+            }
+
+            const fileset = await vision.FilesetResolver.forVisionTasks(source.wasm);
+            this.landmarker = await vision.PoseLandmarker.createFromOptions(fileset, {
+                baseOptions: { modelAssetPath: source.model },
+                runningMode: 'VIDEO',
+                numPoses: 1,
+                minPoseDetectionConfidence: 0.5,
+                minPosePresenceConfidence: 0.5,
+                minTrackingConfidence: 0.5
+            });
+            return this.landmarker;
+        }
+
+        // onProgress(fraction 0-1); signal (AbortSignal) stops between frames
+        async extract(file, { onProgress, signal } = {}) {
+            const landmarker = await this.load();
+            const video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            video.src = URL.createObjectURL(file);
+
+            try {
+                await this.waitFor(video, 'loadedmetadata');
+                const frameCount = Math.floor(video.duration * KEYPOINT_FPS);
+                const frames = [];
+                const offset = Math.ceil(this.lastDetectionTime) + 1000;
+
+                for (let i = 0; i < frameCount; i++) {
+                    if (signal && signal.aborted) throw new Error('Pose extraction cancelled');
+
+                    // Aim for the middle of the frame so rounding can't land on a neighbour
+                    video.currentTime = (i + 0.5) / KEYPOINT_FPS;
+                    await this.waitFor(video, 'seeked');
+
+                    // The frame's own time is what gets sent; the landmarker sees it after every earlier video
+                    const timestamp = Math.round(i / KEYPOINT_FPS * 1000);
+                    this.lastDetectionTime = offset + timestamp;
+                    const result = landmarker.detectForVideo(video, this.lastDetectionTime);
+                    const pose = result.landmarks && result.landmarks[0];
+                    if (pose) frames.push({ timestamp, landmarks: PoseExtractor.compact(pose) });
+
+                    if (onProgress && i % 10 === 0) onProgress(i / frameCount);
+                }
+
+                if (onProgress) onProgress(1);
+                return { width: video.videoWidth, height: video.videoHeight, frames };
+
+            } finally {
+                URL.revokeObjectURL(video.src);
+            }
+        }
+
+        // Landmarks up to the hips, rounded, with the unused ones left out
+        static compact(pose) {
+            const round = value => Math.round(value * 10000) / 10000;
+            return pose.slice(0, 25).map((point, index) => USED_LANDMARKS.includes(index)
+                ? { x: round(point.x), y: round(point.y), z: round(point.z) }
+                : null);
+        }
+
+        waitFor(element, eventName) {
+            return new Promise((resolve, reject) => {
+                const onEvent = (event) => {
+                    element.removeEventListener('error', onError);
+                    resolve(event);
+                };
+                const onError = () => {
+                    element.removeEventListener(eventName, onEvent);
+                    reject(new Error('Could not read the video file'));
+                };
+                element.addEventListener(eventName, onEvent, { once: true });
+                element.addEventListener('error', onError, { once: true });
+            });
+        }
+    }
+
+    return PoseExtractor;
+});
@@ -0,0 +1,188 @@
+// ============================================
+// KETTLEBELL VBT - Load-Velocity Profile View
+// Profile chart, readiness and bell suggestion for one athlete / exercise
+// ============================================
+
+class LoadVelocityView {
+    constructor(store) {
+        this.store = store;
+        this.profile = null;
+        this.initElements();
+        this.bindEvents();
+    }
+
+    initElements() {
+        this.section = document.getElementById('profile-section');
+        this.athleteSelect = document.getElementById('profile-athlete');
+        this.exerciseSelect = document.getElementById('profile-exercise');
+        this.chart = document.getElementById('profile-chart');
+        this.stats = document.getElementById('profile-stats');
+        this.empty = document.getElementById('profile-empty');
+        this.tools = document.getElementById('profile-tools');
+        this.minVelocityInput = document.getElementById('profile-mvt');
+        this.readinessWeightInput = document.getElementById('readiness-weight');
+        this.readinessVelocityInput = document.getElementById('readiness-velocity');
+        this.readinessResult = document.getElementById('readiness-result');
+        this.targetMinInput = document.getElementById('target-min');
+        this.targetMaxInput = document.getElementById('target-max');
+        this.suggestionResult = document.getElementById('suggestion-result');
+    }
+
+    bindEvents() {
+        this.athleteSelect.addEventListener('change', () => this.refresh());
+        this.exerciseSelect.addEventListener('change', () => this.render());
+        [this.minVelocityInput, this.readinessWeightInput, this.readinessVelocityInput, this.targetMinInput, this.targetMaxInput]
+            .forEach(input => input.addEventListener('input', () => this.renderEstimates()));
+    }
+
+    // Only sessions with velocities in m/s can be profiled
+    async refresh({ athlete, exercise } = {}) {
+        const athletes = await this.store.listAthletes();
+        this.section.hidden = false;
+
+        const selectedAthlete = athlete !== undefined
+            ? SessionStore.normalizeAthlete(athlete)
+            : this.athleteSelect.value || athletes[0];
+        this.fillSelect(this.athleteSelect, athletes.map(name => ({ value: name, label: name })), selectedAthlete);
+
+        const sessions = selectedAthlete ? await this.store.listSessions({ athlete: selectedAthlete }) : [];
+        const exercises = [...new Set(sessions.filter(session => LoadVelocity.sessionVelocity(session) !== null)
+            .map(session => session.exercise))];
+        this.fillSelect(this.exerciseSelect,
+            exercises.map(value => ({ value, label: EXERCISE_NAMES[value] || value })),
+            exercise || this.exerciseSelect.value);
+
+        await this.render();
+    }
+
+    fillSelect(select, options, selected) {
+        select.innerHTML = '';
+        options.forEach(option => {
+            const el = document.createElement('option');
+            el.value = option.value;
+            el.textContent = option.label;
+            select.appendChild(el);
+        });
+        if (options.some(option => option.value === selected)) {
+            select.value = selected;
+        }
+    }
+
+    async render() {
+        const athlete = this.athleteSelect.value;
+        const exercise = this.exerciseSelect.value;
+        const sessions = athlete && exercise ? await this.store.listSessions({ athlete, exercise }) : [];
+
+        this.profile = LoadVelocity.fit(LoadVelocity.collectPoints(sessions));
+        this.empty.hidden = this.profile.valid;
+        this.empty.textContent = this.profile.n === 0
+            ? 'No sessions with measured velocity (m/s) yet'
+            : this.profile.reason || '';
+        this.tools.hidden = !this.profile.valid;
+
+        // Readiness starts from the latest session; edit it with today's first rep
+        const latest = sessions.filter(session => LoadVelocity.sessionVelocity(session) !== null).pop();
+        if (latest) {
+            this.readinessWeightInput.value = latest.weight;
+            this.readinessVelocityInput.value = LoadVelocity.sessionVelocity(latest).toFixed(2);
+        }
+        // The threshold is per exercise - keep a value the coach typed until the exercise changes
+        if (this.minVelocityInput.dataset.exercise !== exercise) {
+            this.minVelocityInput.value = LoadVelocity.MIN_VELOCITY[exercise] || 1.0;
+            this.minVelocityInput.dataset.exercise = exercise;
+        }
+
+        this.renderEstimates();
+    }
+
+    renderEstimates() {
+        const profile = this.profile;
+        const minVelocity = parseFloat(this.minVelocityInput.value);
+        this.chart.innerHTML = '';
+        this.stats.innerHTML = '';
+        this.readinessResult.textContent = '';
+        this.suggestionResult.textContent = '';
+        if (!profile || profile.n === 0) return;
+
+        this.chart.appendChild(this.renderProfileChart(profile, minVelocity));
+        if (!profile.valid) return;
+
+        const estimate = LoadVelocity.estimateMax(profile, minVelocity);
+        this.stats.innerHTML = `
+            <div class="summary-stat">
+                <div class="value">${(profile.slope * 4).toFixed(2)}</div>
+                <div class="label">m/s per 4 kg</div>
+            </div>
+            <div class="summary-stat">
+                <div class="value">${profile.r2.toFixed(2)}</div>
+                <div class="label">R² · ${profile.n} sessions</div>
+            </div>
+            <div class="summary-stat">
+                <div class="value">${estimate > 0 ? `${Math.round(estimate)}kg` : '--'}</div>
+                <div class="label">Est. max at ${minVelocity || '--'} m/s</div>
+            </div>
+        `;
+
+        const ready = LoadVelocity.readiness(profile,
+            parseFloat(this.readinessWeightInput.value), parseFloat(this.readinessVelocityInput.value));
+        if (ready) {
+            this.readinessResult.dataset.status = ready.status;
+            this.readinessResult.textContent = `${ready.percent}% of profile (expected ${ready.expected.toFixed(2)} m/s). ${ready.label}` +
+                (ready.extrapolated ? ' - this bell is outside the profile, so treat it as a rough guide.' : '');
+        }
+
+        const suggestion = LoadVelocity.suggestWeight(profile, {
+            min: parseFloat(this.targetMinInput.value),
+            max: parseFloat(this.targetMaxInput.value)
+        }, ready ? ready.ratio : 1);
+        if (suggestion) {
+            this.suggestionResult.textContent = `${suggestion.weight}kg bell - predicted first rep ${suggestion.velocity.toFixed(2)} m/s` +
+                (ready ? ' at today\'s readiness' : '') +
+                (suggestion.inZone ? '' : ' (no bell lands inside the zone)') +
+                (suggestion.extrapolated ? '. Outside the weights profiled so far.' : '');
+        } else if (parseFloat(this.targetMinInput.value) > 0) {
+            this.suggestionResult.textContent = 'No bell is predicted to reach that velocity';
+        }
+    }
+
+    // Scatter of first-rep velocity by bell weight, the fitted line and the minimum velocity threshold
+    renderProfileChart(profile, minVelocity) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'history-chart profile-chart';
+
+        const width = 300;
+        const height = 140;
+        const pad = 10;
+        const weights = profile.points.map(point => point.weight);
+        const velocities = profile.points.map(point => point.velocity);
+        const minX = Math.max(0, Math.min(...weights) - 4);
+        const maxX = Math.max(...weights) + 4;
+        const minY = Math.min(...velocities, minVelocity > 0 ? minVelocity : Infinity) - 0.2;
+        const maxY = Math.max(...velocities) + 0.2;
+        const x = (weight) => pad + ((weight - minX) / (maxX - minX)) * (width - pad * 2);
+        const y = (velocity) => height - pad - ((velocity - minY) / (maxY - minY)) * (height - pad * 2);
+
+        const line = profile.valid
+            ? `<line class="profile-fit" x1="${x(minX)}" y1="${y(LoadVelocity.predictVelocity(profile, minX))}" x2="${x(maxX)}" y2="${y(LoadVelocity.predictVelocity(profile, maxX))}" />`
+            : '';
+        const threshold = minVelocity > 0
+            ? `<line class="profile-mvt" x1="${pad}" y1="${y(minVelocity)}" x2="${width - pad}" y2="${y(minVelocity)}" />`
+            : '';
+        const title = profile.valid
+            ? `v = ${profile.intercept.toFixed(2)} ${profile.slope < 0 ? '-' : '+'} ${Math.abs(profile.slope).toFixed(3)} × kg`
+            : `${profile.n} session${profile.n === 1 ? '' : 's'}`;
+
+        wrapper.innerHTML = `
+            <div class="history-chart-title">
+                <span>First-rep velocity by bell (${minX}-${maxX}kg)</span>
+                <span class="history-chart-value">${title}</span>
+            </div>
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                ${threshold}
+                ${line}
+                ${profile.points.map(point => `<circle cx="${x(point.weight)}" cy="${y(point.velocity)}" r="3"><title>${new Date(point.date).toLocaleDateString()}: ${point.weight}kg · ${point.velocity.toFixed(2)} m/s</title></circle>`).join('')}
+            </svg>
+        `;
+        return wrapper;
+    }
+}
@@ -0,0 +1,354 @@
+// ============================================
+// KETTLEBELL VBT - Test Protocols
+// Velocity-loss test settings, auto-stop rules and set timing
+// ============================================
+//
+// A protocol:
+//   baseline   { method: 'first' | 'best', reps }   mean of the first N reps, or the best of them
+//   drop       { method: 'per-rep' | 'rolling', window }   compare each rep, or the mean of the last `window` reps
+//   zones      { warning, critical }   % drop for yellow / red
+//   stop       { drop, consecutive }   stop after `consecutive` reps on one arm at or past `drop` % (0 = never)
+//   sets       { repsPerSet, interval, count }   same fields as the upload app; interval in seconds,
+//              0 = not timed. With count and repsPerSet set, the test also stops when every set is done.
+//   cues       { rep: 'off' | 'beep' | 'count', zones, cadence, vibrate }   live tracker feedback: a beep or
+//              spoken count per rep, tones on entering yellow / red, a metronome at `cadence` reps per minute
+//              during interval sets (0 = off), and vibration where the device supports it
+//
+// Each arm keeps its own baseline and drop, like RepModels.summarizeSides.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rep-models'));
+    } else {
+        root.Protocols = factory(root.RepModels);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RepModels) {
+    const STORAGE_KEY = 'kb_vbt_protocols';
+    const EXPORT_FORMAT = 'kb-vbt-protocol';
+    const EXPORT_VERSION = 1;
+
+    const DEFAULTS = {
+        baseline: { method: 'first', reps: 3 },
+        drop: { method: 'per-rep', window: 3 },
+        zones: { warning: 15, critical: 20 },
+        stop: { drop: 20, consecutive: 1 },
+        sets: { repsPerSet: 0, interval: 0, count: 0 },
+        cues: { rep: 'beep', zones: true, cadence: 0, vibrate: true }
+    };
+
+    // Built-in protocols can be copied but not overwritten or deleted
+    const PRESETS = [
+        { id: 'standard', name: 'Standard (20% cut-off)', ...DEFAULTS },
+        {
+            id: 'power',
+            name: 'Power (10% loss)',
+            baseline: { method: 'best', reps: 2 },
+            drop: { method: 'per-rep', window: 3 },
+            zones: { warning: 5, critical: 10 },
+            stop: { drop: 10, consecutive: 2 },
+            sets: { repsPerSet: 0, interval: 0, count: 0 },
+            cues: { rep: 'beep', zones: true, cadence: 0, vibrate: true }
+        },
+        {
+            id: 'conditioning',
+            name: 'Conditioning (25% loss)',
+            baseline: { method: 'first', reps: 3 },
+            drop: { method: 'rolling', window: 3 },
+            zones: { warning: 15, critical: 20 },
+            stop: { drop: 25, consecutive: 2 },
+            sets: { repsPerSet: 0, interval: 0, count: 0 },
+            cues: { rep: 'count', zones: true, cadence: 0, vibrate: true }
+        }
+    ];
+
+    // Fill in defaults and check ranges; throws on settings a test can't run with
+    function normalize(input) {
+        const source = input || {};
+        const pick = (group, field) => {
+            const value = source[group] && source[group][field];
+            return value === undefined || value === null || value === '' ? DEFAULTS[group][field] : value;
+        };
+        const number = (group, field, min, max) => {
+            const value = Number(pick(group, field));
+            if (!Number.isFinite(value) || value < min || value > max) {
+                throw new Error(`${group}.${field} must be between ${min} and ${max}`);
+            }
+            return value;
+        };
+        const choice = (group, field, options) => {
+            const value = pick(group, field);
+            if (!options.includes(value)) throw new Error(`${group}.${field} must be one of ${options.join(', ')}`);
+            return value;
+        };
+        // Form checkboxes and share links may carry booleans as strings
+        const flag = (group, field) => {
+            const value = pick(group, field);
+            return value === true || value === 'true';
+        };
+
+        const protocol = {
+            id: source.id || '',
+            name: String(source.name || '').trim() || 'Custom protocol',
+            baseline: {
+                method: choice('baseline', 'method', ['first', 'best']),
+                reps: Math.round(number('baseline', 'reps', 1, 10))
+            },
+            drop: {
+                method: choice('drop', 'method', ['per-rep', 'rolling']),
+                window: Math.round(number('drop', 'window', 2, 10))
+            },
+            zones: {
+                warning: number('zones', 'warning', 1, 100),
+                critical: number('zones', 'critical', 1, 100)
+            },
+            stop: {
+                drop: number('stop', 'drop', 0, 100),
+                consecutive: Math.round(number('stop', 'consecutive', 1, 10))
+            },
+            sets: {
+                repsPerSet: Math.round(number('sets', 'repsPerSet', 0, 100)),
+                interval: number('sets', 'interval', 0, 3600),
+                count: Math.round(number('sets', 'count', 0, 100))
+            },
+            cues: {
+                rep: choice('cues', 'rep', ['off', 'beep', 'count']),
+                zones: flag('cues', 'zones'),
+                cadence: Math.round(number('cues', 'cadence', 0, 120)),
+                vibrate: flag('cues', 'vibrate')
+            }
+        };
+        if (protocol.zones.critical < protocol.zones.warning) {
+            throw new Error('The critical drop must be at least the warning drop');
+        }
+        return protocol;
+    }
+
+    // "First 3 reps · per rep · stop at 2 reps past 25% · 5 × 10 reps every 60s"
+    function describe(protocol) {
+        const { baseline, drop, stop, sets } = normalize(protocol);
+        const parts = [
+            `${baseline.method === 'best' ? 'Best of' : 'First'} ${baseline.reps} rep${baseline.reps === 1 ? '' : 's'}`,
+            drop.method === 'rolling' ? `rolling mean of ${drop.window}` : 'per rep',
+            stop.drop > 0
+                ? `stop at ${stop.consecutive > 1 ? `${stop.consecutive} reps` : '1 rep'} past ${stop.drop}%`
+                : 'no auto-stop'
+        ];
+        if (sets.repsPerSet > 0 || sets.interval > 0) {
+            const count = sets.count > 0 ? `${sets.count} × ` : '';
+            const reps = sets.repsPerSet > 0 ? `${sets.repsPerSet} reps` : 'sets';
+            parts.push(`${count}${reps}${sets.interval > 0 ? ` every ${sets.interval}s` : ''}`);
+        }
+        return parts.join(' · ');
+    }
+
+    // --- Test state ---
+
+    // addRep(arm, peakVelocity) returns what the rep means for the test:
+    //   { phase: 'baseline', arm, remaining } while the arm's baseline is being built
+    //   { phase: 'baseline-set', arm, baseline }
+    //   { phase: 'testing', arm, baseline, measured, drop, zone: 'optimal' | 'warning' | 'critical' }
+    // plus stop: true and a reason once a stop rule fires.
+    function createTracker(input) {
+        const protocol = normalize(input);
+        const sides = {};
+        let totalReps = 0;
+
+        function addRep(arm, peakVelocity) {
+            const side = sides[arm] = sides[arm] || { peaks: [], baseline: null, drops: [], over: 0 };
+            side.peaks.push(peakVelocity);
+            totalReps++;
+
+            let result;
+            if (side.baseline === null) {
+                if (side.peaks.length < protocol.baseline.reps) {
+                    result = { phase: 'baseline', arm, remaining: protocol.baseline.reps - side.peaks.length };
+                } else {
+                    side.baseline = baselineOf(side.peaks, protocol.baseline);
+                    result = { phase: 'baseline-set', arm, baseline: side.baseline };
+                }
+            } else {
+                const tested = side.peaks.slice(protocol.baseline.reps);
+                const measured = protocol.drop.method === 'rolling'
+                    ? average(tested.slice(-protocol.drop.window))
+                    : peakVelocity;
+                const drop = side.baseline > 0 ? (side.baseline - measured) / side.baseline * 100 : 0;
+                side.drops.push(drop);
+                side.over = protocol.stop.drop > 0 && drop >= protocol.stop.drop ? side.over + 1 : 0;
+                result = { phase: 'testing', arm, baseline: side.baseline, measured, drop, zone: zoneOf(drop, protocol) };
+
+                if (side.over >= protocol.stop.consecutive) {
+                    result.stop = true;
+                    result.reason = protocol.stop.consecutive > 1
+                        ? `${protocol.stop.consecutive} reps past ${protocol.stop.drop}% drop`
+                        : `Rep past ${protocol.stop.drop}% drop`;
+                }
+            }
+
+            const target = protocol.sets.count * protocol.sets.repsPerSet;
+            if (!result.stop && target > 0 && totalReps >= target) {
+                result.stop = true;
+                result.reason = `All ${protocol.sets.count} sets done`;
+            }
+            return result;
+        }
+
+        // Same shape as RepModels.summarizeSides
+        function getSummary() {
+            const summary = {};
+            Object.keys(sides).forEach(arm => {
+                const side = sides[arm];
+                summary[arm] = {
+                    reps: side.peaks.length,
+                    baseline: round(side.baseline || 0, 2),
+                    baselineSet: side.baseline !== null,
+                    last: round(side.peaks[side.peaks.length - 1], 2),
+                    dropoff: round(Math.max(0, side.drops.length ? side.drops[side.drops.length - 1] : 0), 1),
+                    maxDropoff: round(Math.max(0, ...side.drops), 1)
+                };
+            });
+            return { sides: summary, ...RepModels.compareSides(summary) };
+        }
+
+        return { protocol, addRep, getSummary };
+    }
+
+    function baselineOf(peaks, { method, reps }) {
+        const first = peaks.slice(0, reps);
+        return method === 'best' ? Math.max(...first) : average(first);
+    }
+
+    function zoneOf(drop, protocol) {
+        if (drop >= protocol.zones.critical) return 'critical';
+        if (drop >= protocol.zones.warning) return 'warning';
+        return 'optimal';
+    }
+
+    // --- Sets ---
+
+    // Which set a rep belongs to (1-based). Mirrors expectedArm in lib/rep-schema.js:
+    // sets start every `interval` seconds, or every `repsPerSet` reps when untimed.
+    function setNumber(protocol, index, secondsFromStart) {
+        const { sets } = protocol;
+        if (sets.interval > 0) return Math.floor(secondsFromStart / sets.interval) + 1;
+        if (sets.repsPerSet > 0) return Math.floor(index / sets.repsPerSet) + 1;
+        return 1;
+    }
+
+    // Interval clock: { set, remaining } seconds into the current set, or null when sets aren't timed
+    function setClock(protocol, secondsFromStart) {
+        const { interval } = protocol.sets;
+        if (!(interval > 0) || secondsFromStart < 0) return null;
+        const set = Math.floor(secondsFromStart / interval) + 1;
+        return { set, remaining: set * interval - secondsFromStart };
+    }
+
+    // --- Saving and sharing (localStorage or anything with getItem/setItem) ---
+
+    function loadSaved(storage) {
+        try {
+            const saved = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function list(storage) {
+        return [...PRESETS, ...loadSaved(storage)];
+    }
+
+    function find(storage, id) {
+        return list(storage).find(protocol => protocol.id === id) || null;
+    }
+
+    function isPreset(id) {
+        return PRESETS.some(preset => preset.id === id);
+    }
+
+    // Saving under a preset's id (or a new name) stores a custom copy; returns the saved protocol
+    function save(storage, input) {
+        const protocol = normalize(input);
+        const slug = protocol.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'protocol';
+        if (!protocol.id || isPreset(protocol.id)) {
+            protocol.id = isPreset(slug) ? `custom-${slug}` : slug;
+        }
+        const saved = loadSaved(storage).filter(item => item.id !== protocol.id);
+        saved.push(protocol);
+        storage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        return protocol;
+    }
+
+    function remove(storage, id) {
+        storage.setItem(STORAGE_KEY, JSON.stringify(loadSaved(storage).filter(item => item.id !== id)));
+    }
+
+    function toJSON(protocol) {
+        return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, protocol: normalize(protocol) }, null, 2);
+    }
+
+    // Accepts our export file or a bare protocol object
+    function parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Protocol is not valid JSON');
+        }
+        if (data && data.format === EXPORT_FORMAT) {
+            if (data.version > EXPORT_VERSION) {
+                throw new Error(`Protocol version ${data.version} is newer than this app supports`);
+            }
+            data = data.protocol;
+        }
+        if (!data || typeof data !== 'object') throw new Error('Not a test protocol');
+        return normalize({ ...data, id: '' });
+    }
+
+    // URL-safe base64 of the protocol JSON, for #protocol=... share links
+    function encode(protocol) {
+        const bytes = new TextEncoder().encode(JSON.stringify(normalize(protocol)));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function decode(text) {
+        let json;
+        try {
+            const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+            json = new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+        } catch (error) {
+            throw new Error('Protocol link is damaged');
+        }
+        return parse(json);
+    }
+
+    function average(values) {
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    }
+
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    return {
+        STORAGE_KEY,
+        DEFAULTS,
+        PRESETS,
+        normalize,
+        describe,
+        createTracker,
+        setNumber,
+        setClock,
+        list,
+        find,
+        isPreset,
+        save,
+        remove,
+        toJSON,
+        parse,
+        encode,
+        decode
+    };
+});
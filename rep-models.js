@@ -0,0 +1,494 @@
+// ============================================
+// KETTLEBELL VBT - Rep Models
+// Exercise-aware rep segmentation with phase timing
+// ============================================
+//
+// Input per frame: { t (seconds), h, speed (m/s), foreshortened? }
+//   h is wrist height relative to the torso: 0 at hip level, 1 at shoulder level,
+//   above 1 overhead and below 0 between the legs. It doesn't depend on calibration.
+//   speed is the smoothed wrist speed used for velocity stats.
+//
+// A rep only counts when the bell reaches the exercise's top position (overhead lockout,
+// rack, or swing height), so the backswing can't be counted as a rep of its own.
+//
+// Phases:
+//   hike     first backswing of the set (instead of hinge)
+//   hinge    bell passes below the chest on the way down until the bottom of the backswing
+//   drive    bottom of the backswing (or dip) until hip-snap speed fades
+//   float    rest of the upward path until the bell stops
+//   press    clean & press: rack to lockout
+//   dip      jerk: knee dip out of the rack
+//   lockout / rack   the hold at the top; ends when the bell drops
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RepModels = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Torso lengths per second (hip-to-shoulder ≈ 0.5 m, so 0.5 ≈ 0.25 m/s)
+    const MOVE_RATE = 0.5;     // moving up or down
+    const STOP_RATE = 0.15;    // at the apex
+    const HIKE_DRIVE_RATE = 1.5; // the hike's fast rise into the first drive
+    const DRIVE_FADE = 0.7;    // drive ends when speed falls below this share of its peak
+    const SMOOTHING = 3;       // frames averaged for the height rate
+    const MAX_FRAME_GAP = 1.0; // seconds - larger gaps restart the height rate
+    const MAX_MOTION_PHASE = 4.0; // seconds - a hinge/drive/float/press/dip longer than this is not a rep
+    const HINGE_START = 0.5;   // below this height a descent counts as the hinge
+    const BOTTOM_MAX = 0.3;    // the backswing must reach below this before a drive counts
+    const FORESHORTENED_REP_SHARE = 0.3;
+
+    // topHeight: the apex must reach this height. rack: apex must land inside [min, max].
+    const MODELS = {
+        swing: {
+            name: 'Swing',
+            family: 'ballistic',
+            top: 'apex',
+            topHeight: 0.5
+        },
+        snatch: {
+            name: 'Snatch',
+            family: 'ballistic',
+            top: 'lockout',
+            topHeight: 1.7
+        },
+        clean: {
+            name: 'Clean',
+            family: 'ballistic',
+            top: 'rack',
+            rack: { min: 0.5, max: 1.4 }
+        },
+        'clean-press': {
+            name: 'Clean & Press',
+            family: 'ballistic',
+            top: 'rack',
+            rack: { min: 0.5, max: 1.4 },
+            press: true,
+            topHeight: 1.7
+        },
+        jerk: {
+            name: 'Jerk',
+            family: 'jerk',
+            rack: { min: 0.5, max: 1.4 },
+            topHeight: 1.7
+        }
+    };
+
+    function getModel(exercise) {
+        return MODELS[exercise] || MODELS.snatch;
+    }
+
+    // update(frame) returns null, { type: 'rep', rep } or { type: 'no-count', reason, t }.
+    // finish() closes a rep still held at the top when the stream ends.
+    function createRepTracker(exercise) {
+        const model = getModel(exercise);
+        let state = 'waiting';
+        let phases = [];
+        let phase = null;
+        let repCount = 0;
+        let hiked = false;
+        let lastFrame = null;
+        let rates = [];
+        let rate = 0;
+        let drivePeak = 0;
+        let apexHeight = -Infinity;
+
+        function enterPhase(name, t) {
+            closePhase(t);
+            phase = { name, start: t, end: t, speeds: [], heights: [], foreshortened: 0 };
+        }
+
+        function closePhase(t) {
+            if (!phase) return;
+            phase.end = t;
+            phases.push(phase);
+            phase = null;
+        }
+
+        function reset(t) {
+            closePhase(t);
+            phases = [];
+            drivePeak = 0;
+            apexHeight = -Infinity;
+        }
+
+        // Fold the false drive/float back into the hike or hinge it came from
+        function resumeBackswing(t) {
+            closePhase(t);
+            const merged = {
+                name: phases[0].name,
+                start: phases[0].start,
+                end: t,
+                speeds: [].concat(...phases.map(item => item.speeds)),
+                heights: [].concat(...phases.map(item => item.heights)),
+                foreshortened: phases.reduce((sum, item) => sum + item.foreshortened, 0)
+            };
+            phases = [];
+            phase = merged;
+            drivePeak = 0;
+            apexHeight = -Infinity;
+            state = 'hinge';
+        }
+
+        function completeRep(t) {
+            closePhase(t);
+            repCount++;
+            const rep = buildRep(repCount, phases);
+            phases = [];
+            drivePeak = 0;
+            apexHeight = -Infinity;
+            return { type: 'rep', rep };
+        }
+
+        function noCount(reason, t) {
+            reset(t);
+            return { type: 'no-count', reason, t };
+        }
+
+        function updateRate(frame) {
+            if (!lastFrame || frame.t - lastFrame.t <= 0 || frame.t - lastFrame.t > MAX_FRAME_GAP) {
+                rates = [];
+                rate = 0;
+                return;
+            }
+            rates.push((frame.h - lastFrame.h) / (frame.t - lastFrame.t));
+            if (rates.length > SMOOTHING) rates.shift();
+            rate = rates.reduce((a, b) => a + b, 0) / rates.length;
+        }
+
+        function inRack(h) {
+            return h >= model.rack.min && h <= model.rack.max;
+        }
+
+        function stepBallistic(frame) {
+            const { t, h, speed } = frame;
+
+            switch (state) {
+                case 'waiting':
+                    // The hike: first movement of a bell that starts low (on the floor or hanging)
+                    if (!hiked && Math.abs(rate) > MOVE_RATE && h < HINGE_START) {
+                        enterPhase('hike', t);
+                        hiked = true;
+                        state = 'hinge';
+                    }
+                    return null;
+
+                case 'descending':
+                    // Bell dropping below the chest starts the next rep's hinge
+                    if (rate < -MOVE_RATE && h < HINGE_START) {
+                        enterPhase('hinge', t);
+                        state = 'hinge';
+                    }
+                    return null;
+
+                case 'hinge': {
+                    if (rate < -MOVE_RATE) phase.descended = true;
+                    // The drive starts once the bell swings back up from the bottom of the backswing.
+                    // A hike from the floor may never drop, so there it starts with the first fast rise.
+                    const swungBack = phase.name === 'hike' ? rate > HIKE_DRIVE_RATE : phase.descended && rate > MOVE_RATE;
+                    if (swungBack && Math.min(...phase.heights) <= BOTTOM_MAX) {
+                        enterPhase('drive', t);
+                        state = 'drive';
+                        return null;
+                    }
+                    // Bell parked - the next movement is a new set, starting with a hike
+                    if (timedOut(t)) {
+                        reset(t);
+                        hiked = false;
+                        state = 'waiting';
+                    }
+                    return null;
+                }
+
+                case 'drive':
+                    drivePeak = Math.max(drivePeak, speed);
+                    if (speed < drivePeak * DRIVE_FADE) {
+                        enterPhase('float', t);
+                        state = 'float';
+                    }
+                    return timedOut(t) ? noCount('stalled', t) : null;
+
+                case 'float':
+                    apexHeight = Math.max(apexHeight, h);
+                    if (rate < STOP_RATE) {
+                        return reachApex(t, h);
+                    }
+                    return timedOut(t) ? noCount('stalled', t) : null;
+
+                case 'press':
+                    apexHeight = Math.max(apexHeight, h);
+                    if (rate < STOP_RATE && h > model.rack.max) {
+                        if (apexHeight >= model.topHeight) {
+                            enterPhase('lockout', t);
+                            state = 'top';
+                            return null;
+                        }
+                        state = 'descending';
+                        return noCount('no lockout', t);
+                    }
+                    if (rate < -MOVE_RATE) {
+                        state = 'descending';
+                        return noCount('no lockout', t);
+                    }
+                    return timedOut(t) ? noCount('stalled', t) : null;
+
+                case 'top':
+                    // Clean & press: a rise out of the rack is the press
+                    if (phase.name === 'rack' && model.press && rate > MOVE_RATE) {
+                        apexHeight = h;
+                        enterPhase('press', t);
+                        state = 'press';
+                        return null;
+                    }
+                    if (rate < -MOVE_RATE) {
+                        state = 'descending';
+                        if (phase.name === 'rack' && model.press) return noCount('no press', t);
+                        return completeRep(t);
+                    }
+                    return null;
+
+                default:
+                    return null;
+            }
+        }
+
+        function reachApex(t, h) {
+            const top = Math.max(apexHeight, h);
+
+            // Never came up past the hips - that was the backswing (e.g. hiking off the floor), keep going
+            if (top < BOTTOM_MAX) {
+                resumeBackswing(t);
+                return null;
+            }
+
+            if (model.top === 'apex') {
+                if (top < model.topHeight) {
+                    state = 'descending';
+                    return noCount('too low', t);
+                }
+                // Swings have no hold - the rep ends at the apex and the drop is the next hinge
+                state = 'descending';
+                return completeRep(t);
+            }
+            if (model.top === 'lockout') {
+                if (top < model.topHeight) {
+                    state = 'descending';
+                    return noCount('no lockout', t);
+                }
+                enterPhase('lockout', t);
+                state = 'top';
+                return null;
+            }
+            // Rack: the bell has to land between chest and chin
+            if (!inRack(top)) {
+                state = 'descending';
+                return noCount(top > model.rack.max ? 'past the rack' : 'below the rack', t);
+            }
+            enterPhase('rack', t);
+            state = 'top';
+            return null;
+        }
+
+        function stepJerk(frame) {
+            const { t, h } = frame;
+
+            switch (state) {
+                case 'waiting':
+                case 'descending':
+                    // Settled in the rack
+                    if (inRack(h) && Math.abs(rate) < STOP_RATE) {
+                        reset(t);
+                        enterPhase('rack', t);
+                        state = 'rack';
+                    }
+                    return null;
+
+                case 'rack':
+                    if (rate < -MOVE_RATE && h < model.rack.min) {
+                        // Dropped out of the rack (set ended or a swing) - not a dip
+                        state = 'waiting';
+                        reset(t);
+                        return null;
+                    }
+                    if (rate < -MOVE_RATE) {
+                        enterPhase('dip', t);
+                        state = 'dip';
+                    }
+                    return null;
+
+                case 'dip':
+                    if (rate > MOVE_RATE) {
+                        enterPhase('drive', t);
+                        state = 'drive';
+                    }
+                    return timedOut(t) ? noCount('stalled', t) : null;
+
+                case 'drive':
+                    drivePeak = Math.max(drivePeak, frame.speed);
+                    if (frame.speed < drivePeak * DRIVE_FADE) {
+                        enterPhase('float', t);
+                        state = 'float';
+                    }
+                    return timedOut(t) ? noCount('stalled', t) : null;
+
+                case 'float':
+                    apexHeight = Math.max(apexHeight, h);
+                    if (Math.abs(rate) < STOP_RATE && h >= model.topHeight) {
+                        enterPhase('lockout', t);
+                        state = 'top';
+                        return null;
+                    }
+                    if (rate < -MOVE_RATE && apexHeight < model.topHeight) {
+                        state = 'waiting';
+                        return noCount('no lockout', t);
+                    }
+                    return timedOut(t) ? noCount('stalled', t) : null;
+
+                case 'top':
+                    if (rate < -MOVE_RATE) {
+                        state = 'descending';
+                        return completeRep(t);
+                    }
+                    return null;
+
+                default:
+                    return null;
+            }
+        }
+
+        function timedOut(t) {
+            return phase && t - phase.start > MAX_MOTION_PHASE;
+        }
+
+        function update(frame) {
+            updateRate(frame);
+            lastFrame = frame;
+
+            if (phase) {
+                phase.speeds.push(frame.speed);
+                phase.heights.push(frame.h);
+                if (frame.foreshortened) phase.foreshortened++;
+                phase.end = frame.t;
+            }
+
+            return model.family === 'jerk' ? stepJerk(frame) : stepBallistic(frame);
+        }
+
+        function finish() {
+            if (state === 'float') {
+                const event = reachApex(lastFrame.t, lastFrame.h);
+                if (event) return event;
+            }
+            if (state === 'top' && !(phase && phase.name === 'rack' && model.press)) {
+                state = 'waiting';
+                return completeRep(lastFrame ? lastFrame.t : 0);
+            }
+            return null;
+        }
+
+        return { model, update, finish, getState: () => state };
+    }
+
+    const CONCENTRIC_PHASES = ['drive', 'float', 'press'];
+
+    function buildRep(repNumber, phases) {
+        const concentric = phases.filter(phase => CONCENTRIC_PHASES.includes(phase.name));
+        const concentricSpeeds = [].concat(...concentric.map(phase => phase.speeds));
+        const frames = phases.reduce((sum, phase) => sum + phase.speeds.length, 0);
+        const foreshortened = phases.reduce((sum, phase) => sum + phase.foreshortened, 0);
+        const start = phases.length ? phases[0].start : 0;
+        const end = phases.length ? phases[phases.length - 1].end : 0;
+
+        return {
+            repNumber,
+            start,
+            end,
+            concentricDuration: round(concentric.reduce((sum, phase) => sum + phase.end - phase.start, 0), 2),
+            peakVelocity: round(max(concentricSpeeds), 2),
+            meanVelocity: round(average(concentricSpeeds), 2),
+            foreshortened: frames > 0 && foreshortened / frames >= FORESHORTENED_REP_SHARE,
+            phases: phases.map(phase => ({
+                name: phase.name,
+                duration: round(phase.end - phase.start, 2),
+                peakVelocity: round(max(phase.speeds), 2),
+                meanVelocity: round(average(phase.speeds), 2)
+            }))
+        };
+    }
+
+    // Wrist height in torso lengths above the hips, from pixel-space points (y grows downward)
+    function relativeHeight(wrist, shoulderMid, hipMid) {
+        const torso = hipMid.y - shoulderMid.y;
+        if (Math.abs(torso) < 1) return null;
+        return (hipMid.y - wrist.y) / torso;
+    }
+
+    function describePhases(rep) {
+        return rep.phases.map(phase => `${phase.name} ${phase.duration.toFixed(2)}s`).join(' · ');
+    }
+
+    // Per-arm baseline and drop-off, so alternating sets aren't judged against the other arm's reps.
+    // reps: [{ arm, peakVelocity }]. Each side's drop is measured against its own first `baselineReps` reps.
+    function summarizeSides(reps, baselineReps = 3) {
+        const peaksBySide = {};
+        reps.forEach(rep => {
+            (peaksBySide[rep.arm] = peaksBySide[rep.arm] || []).push(rep.peakVelocity);
+        });
+
+        const sides = {};
+        Object.keys(peaksBySide).forEach(arm => {
+            const peaks = peaksBySide[arm];
+            const baseline = average(peaks.slice(0, baselineReps));
+            const drops = peaks.slice(baselineReps).map(peak => baseline > 0 ? (baseline - peak) / baseline * 100 : 0);
+            const last = peaks[peaks.length - 1];
+            sides[arm] = {
+                reps: peaks.length,
+                baseline: round(baseline, 2),
+                baselineSet: peaks.length >= baselineReps,
+                last: round(last, 2),
+                dropoff: round(Math.max(0, drops.length ? drops[drops.length - 1] : 0), 1),
+                maxDropoff: round(Math.max(0, ...drops), 1)
+            };
+        });
+
+        return { sides, ...compareSides(sides) };
+    }
+
+    // Left/right asymmetry of the baselines, as a % of the faster side
+    function compareSides(sides) {
+        const left = sides.Left;
+        const right = sides.Right;
+        let asymmetry = null;
+        let faster = null;
+        if (left && right && Math.max(left.baseline, right.baseline) > 0) {
+            const fastest = Math.max(left.baseline, right.baseline);
+            asymmetry = round(Math.abs(left.baseline - right.baseline) / fastest * 100, 1);
+            if (left.baseline !== right.baseline) faster = left.baseline > right.baseline ? 'Left' : 'Right';
+        }
+        return { asymmetry, faster };
+    }
+
+    function max(values) {
+        return values.length ? Math.max(...values) : 0;
+    }
+
+    function average(values) {
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    }
+
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    return {
+        MODELS,
+        getModel,
+        createRepTracker,
+        relativeHeight,
+        describePhases,
+        summarizeSides,
+        compareSides
+    };
+});
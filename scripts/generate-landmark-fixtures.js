@@ -0,0 +1,325 @@
+// ============================================
+// KETTLEBELL VBT - Landmark Fixture Generator
+// Writes synthetic swing and snatch sets to fixtures/landmarks/synthetic/
+// ============================================
+//
+// node scripts/generate-landmark-fixtures.js
+//
+// Each set is a front-on athlete with a known wrist path, sampled at 30 fps into MediaPipe's
+// 33-landmark format with a little pixel jitter. Because the path is known, so is every rep's
+// true peak speed. The zones and the stop point are written by hand next to each set, worked out
+// from the speeds the set was built with. The script loads none of the app's modules - the protocol
+// is written out below - so a change to the presets or the calibration can't quietly change the
+// fixtures when they are regenerated.
+//
+// These sets only check the engine against the thresholds and body model they were built for.
+// Recordings of real sets go in fixtures/landmarks/recorded/ - see "Landmark fixtures" in README.md.
+
+const fs = require('fs');
+const path = require('path');
+
+const OUT_DIR = path.join(__dirname, '..', 'fixtures', 'landmarks', 'synthetic');
+
+const WIDTH = 640;
+const HEIGHT = 480;
+const FPS = 30;
+const SHOULDER_WIDTH = 0.40;  // metres - the calibration default (calibration.js), so no calibration is needed
+const TORSO = 0.5;            // metres, shoulders to hips
+const JITTER = 0.3;           // pixels
+
+// Front view: the athlete's left side is on the right of the image
+const SHOULDER_Y = 0.36;
+const SHOULDER_X = { Left: 0.57, Right: 0.43 };
+const SHOULDER_PX = (SHOULDER_X.Left - SHOULDER_X.Right) * WIDTH;
+const METERS_PER_PIXEL = SHOULDER_WIDTH / SHOULDER_PX;
+const HIP_Y = SHOULDER_Y + TORSO / METERS_PER_PIXEL / HEIGHT;
+const HANG = { Left: { x: 0.6, h: -0.12 }, Right: { x: 0.4, h: -0.12 } }; // free hand by the hip
+const CENTER_X = 0.5;
+
+// Wrist height in torso lengths (0 hips, 1 shoulders) -> normalized image y
+function toY(h) {
+    return HIP_Y - h * TORSO / METERS_PER_PIXEL / HEIGHT;
+}
+
+function ease(u) {
+    return (1 - Math.cos(Math.PI * Math.min(1, Math.max(0, u)))) / 2;
+}
+
+// Small deterministic PRNG so the fixtures are stable across runs
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A set is a list of segments; each moves both wrists from where they are to a target over a duration.
+// position(t) -> { Left: { x, h }, Right: { x, h } }
+function buildPath(segments) {
+    const keyframes = [];
+    let t = 0;
+    let current = { Left: HANG.Left, Right: HANG.Right };
+    segments.forEach(segment => {
+        const from = current;
+        const to = { ...from, ...segment.to };
+        keyframes.push({ start: t, end: t + segment.duration, from, to, shape: segment.shape || ease, rep: segment.rep });
+        t += segment.duration;
+        current = to;
+    });
+
+    function position(time) {
+        const frame = keyframes.find(item => time < item.end) || keyframes[keyframes.length - 1];
+        const u = (time - frame.start) / (frame.end - frame.start);
+        const out = {};
+        ['Left', 'Right'].forEach(side => {
+            const k = frame.shape(u);
+            out[side] = {
+                x: frame.from[side].x + (frame.to[side].x - frame.from[side].x) * k,
+                h: frame.from[side].h + (frame.to[side].h - frame.from[side].h) * k
+            };
+        });
+        return out;
+    }
+
+    return { keyframes, duration: t, position };
+}
+
+// True peak speed (m/s) of a wrist over a time range, from the continuous path
+function truePeak(setPath, side, start, end) {
+    const step = 0.0005;
+    let peak = 0;
+    let previous = setPath.position(start)[side];
+    for (let t = start + step; t <= end; t += step) {
+        const point = setPath.position(t)[side];
+        const dx = (point.x - previous.x) * WIDTH * METERS_PER_PIXEL;
+        const dy = (point.h - previous.h) * TORSO;
+        peak = Math.max(peak, Math.sqrt(dx * dx + dy * dy) / step);
+        previous = point;
+    }
+    return peak;
+}
+
+// Static body in normalized coordinates; wrists (15, 16) and hands (17-22) follow the path
+function pose(wrists, jitter) {
+    const point = (x, y) => ({ x: x + jitter() / WIDTH, y: y + jitter() / HEIGHT, z: 0 });
+    const hipY = HIP_Y;
+    const wrist = side => ({ x: wrists[side].x, y: toY(wrists[side].h) });
+    const left = wrist('Left');
+    const right = wrist('Right');
+    const elbow = (side, hand) => ({
+        x: (SHOULDER_X[side] + hand.x) / 2,
+        y: (SHOULDER_Y + hand.y) / 2
+    });
+    const leftElbow = elbow('Left', left);
+    const rightElbow = elbow('Right', right);
+
+    return [
+        point(0.5, 0.2),                                    // 0 nose
+        point(0.51, 0.185), point(0.515, 0.185), point(0.52, 0.185), // 1-3 left eye
+        point(0.49, 0.185), point(0.485, 0.185), point(0.48, 0.185), // 4-6 right eye
+        point(0.53, 0.19), point(0.47, 0.19),               // 7-8 ears
+        point(0.51, 0.22), point(0.49, 0.22),               // 9-10 mouth
+        point(SHOULDER_X.Left, SHOULDER_Y),                 // 11 left shoulder
+        point(SHOULDER_X.Right, SHOULDER_Y),                // 12 right shoulder
+        point(leftElbow.x, leftElbow.y),                    // 13 left elbow
+        point(rightElbow.x, rightElbow.y),                  // 14 right elbow
+        point(left.x, left.y),                              // 15 left wrist
+        point(right.x, right.y),                            // 16 right wrist
+        point(left.x + 0.005, left.y + 0.02),               // 17 left pinky
+        point(right.x - 0.005, right.y + 0.02),             // 18 right pinky
+        point(left.x - 0.005, left.y + 0.02),               // 19 left index
+        point(right.x + 0.005, right.y + 0.02),             // 20 right index
+        point(left.x - 0.008, left.y + 0.01),               // 21 left thumb
+        point(right.x + 0.008, right.y + 0.01),             // 22 right thumb
+        point(0.545, hipY),                                 // 23 left hip
+        point(0.455, hipY),                                 // 24 right hip
+        point(0.55, 0.77), point(0.45, 0.77),               // 25-26 knees
+        point(0.555, 0.93), point(0.445, 0.93),             // 27-28 ankles
+        point(0.555, 0.945), point(0.445, 0.945),           // 29-30 heels
+        point(0.56, 0.96), point(0.44, 0.96)                // 31-32 foot index
+    ];
+}
+
+// The Standard preset as the expectations below assume it: mean of the first 3 reps, warning at
+// 15%, critical and stop at 20%. Written out rather than read from protocols.js.
+const STANDARD_PROTOCOL = {
+    id: 'standard',
+    name: 'Standard (20% cut-off)',
+    baseline: { method: 'first', reps: 3 },
+    drop: { method: 'per-rep', window: 3 },
+    zones: { warning: 15, critical: 20 },
+    stop: { drop: 20, consecutive: 1 },
+    sets: { repsPerSet: 0, interval: 0, count: 0 },
+    cues: { rep: 'beep', zones: true, cadence: 0, vibrate: true }
+};
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+// Samples the path; `stop` and each rep's `zone` come from the set definition
+function buildFixture({ name, description, setup, segments, stop, seed }) {
+    const setPath = buildPath(segments);
+    const jitter = (() => {
+        const next = random(seed);
+        return () => (next() - 0.5) * 2 * JITTER;
+    })();
+
+    const frames = [];
+    for (let i = 0; i / FPS <= setPath.duration; i++) {
+        const t = i / FPS;
+        const landmarks = pose(setPath.position(t), jitter).map(item => ({
+            x: round(item.x, 4),
+            y: round(item.y, 4),
+            z: item.z
+        }));
+        frames.push({ timestamp: round(t * 1000, 1), landmarks });
+    }
+
+    // Counted reps are the upward segments tagged with an arm; their peaks come from the path itself
+    const reps = setPath.keyframes.filter(item => item.rep && item.rep.counted).map(item => ({
+        arm: item.rep.arm,
+        peakVelocity: round(truePeak(setPath, item.rep.arm, item.start, item.end), 2),
+        zone: item.rep.zone
+    }));
+
+    return {
+        description,
+        source: 'synthetic - scripts/generate-landmark-fixtures.js',
+        width: WIDTH,
+        height: HEIGHT,
+        fps: FPS,
+        calibration: null,
+        setup,
+        expected: {
+            reps: reps.length,
+            noCounts: setPath.keyframes.filter(item => item.rep && item.rep.noCount).map(item => item.rep.noCount),
+            peakTolerance: 0.05,
+            repLog: reps,
+            stop
+        },
+        frames,
+        name
+    };
+}
+
+// --- Swing: one arm, fading speed, one rep cut short ---
+
+function swingSet() {
+    const arm = 'Right';
+    const bottom = { x: CENTER_X - 0.01, h: -0.6 };
+    const top = { x: CENTER_X - 0.01, h: 1.0 };
+    const baseHalf = 0.6; // seconds bottom -> apex at full speed
+
+    const segments = [
+        { duration: 1.0, to: {} },                                // standing, bell hanging
+        { duration: 0.6, to: { [arm]: bottom } }                  // hike back
+    ];
+    // [speed, zone]: peak speed scales with `speed`. Standard protocol: the first 3 reps set the
+    // baseline (no zone), then drops of 3, 7, 11, 17.5, 18 and 25% - warning from 15%, critical from 20%.
+    const reps = [
+        [1, null], [1, null], [1, null], [0.97, 'optimal'], [0.93, 'optimal'], 'short',
+        [0.89, 'optimal'], [0.825, 'warning'], [0.82, 'warning'], [0.75, 'critical']
+    ];
+    reps.forEach(item => {
+        if (item === 'short') {
+            segments.push({ duration: 0.5, to: { [arm]: { ...top, h: 0.35 } }, rep: { arm, noCount: 'too low' } });
+            segments.push({ duration: 0.5, to: { [arm]: bottom } });
+            return;
+        }
+        const [speed, zone] = item;
+        segments.push({ duration: baseHalf / speed, to: { [arm]: top }, rep: { arm, counted: true, zone } });
+        segments.push({ duration: baseHalf / speed, to: { [arm]: bottom } });
+    });
+    segments.push({ duration: 0.7, to: { [arm]: HANG[arm] } });  // park
+    segments.push({ duration: 1.0, to: {} });
+
+    return buildFixture({
+        name: 'swing-fatigue',
+        description: 'One-arm swing (right), 9 counted reps fading to a critical drop, plus one rep that stops short of chest height',
+        setup: {
+            exercise: 'swing',
+            armPattern: 'right-only',
+            startingArm: 'left',
+            protocol: STANDARD_PROTOCOL
+        },
+        segments,
+        // The 25% rep is the first past Standard's 20% stop drop
+        stop: { repNumber: 9, reason: 'Rep past 20% drop' },
+        seed: 1
+    });
+}
+
+// --- Snatch: arms alternating each rep, the right arm fading faster ---
+
+function snatchSet() {
+    const bottom = { x: CENTER_X, h: -0.6 };
+    const lockout = side => ({ x: SHOULDER_X[side], h: 2.1 });
+    const baseUp = 0.85;
+
+    const segments = [
+        { duration: 1.0, to: {} },
+        { duration: 0.6, to: { Left: bottom } }
+    ];
+    // [arm, speed, zone]: each arm has its own baseline (its first 3 reps, mean 1.0). After that the
+    // left arm drops 5 and 7% (optimal), the right arm 11% (optimal) and 17.5% (warning).
+    const reps = [
+        ['Left', 1, null], ['Right', 1, null], ['Left', 1, null], ['Right', 0.99, null], ['Left', 1, null],
+        ['Right', 1.01, null], ['Left', 0.95, 'optimal'], ['Right', 0.89, 'optimal'], ['Left', 0.93, 'optimal'],
+        ['Right', 0.825, 'warning']
+    ];
+    reps.forEach(([arm, speed, zone], index) => {
+        const other = arm === 'Left' ? 'Right' : 'Left';
+        const next = reps[index + 1];
+        segments.push({
+            duration: baseUp / speed,
+            // The hand that let go of the bell goes back to hanging by the hip
+            to: { [arm]: lockout(arm), [other]: HANG[other] },
+            rep: { arm, counted: true, zone }
+        });
+        segments.push({ duration: 0.35, to: {} });                 // lockout hold
+        // Hand switch on the backswing: the next arm meets the bell at the bottom. A controlled drop,
+        // slower than the pull, so the rep's fastest wrist is the one that pulled it.
+        segments.push({ duration: 1.2, to: next ? { [arm]: bottom, [next[0]]: bottom } : { [arm]: bottom } });
+    });
+    const last = reps[reps.length - 1][0];
+    segments.push({ duration: 0.7, to: { [last]: HANG[last] } });
+    segments.push({ duration: 1.0, to: {} });
+
+    return buildFixture({
+        name: 'snatch-alternating',
+        description: 'Snatch alternating arms every rep (left first), 10 reps; the right arm fades into the warning zone',
+        setup: {
+            exercise: 'snatch',
+            armPattern: 'alternating-reps',
+            startingArm: 'left',
+            protocol: STANDARD_PROTOCOL
+        },
+        segments,
+        // Nothing reaches the 20% stop drop
+        stop: null,
+        seed: 2
+    });
+}
+
+// One frame per line keeps the files diffable without pretty-printing 33 landmarks each
+function serialize(fixture) {
+    const { frames, name, ...header } = fixture;
+    const head = JSON.stringify(header, null, 4).replace(/\n}$/, '');
+    return `${head},\n    "frames": [\n${frames.map(frame => `        ${JSON.stringify(frame)}`).join(',\n')}\n    ]\n}\n`;
+}
+
+function main() {
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    [swingSet(), snatchSet()].forEach(fixture => {
+        const file = path.join(OUT_DIR, `${fixture.name}.json`);
+        fs.writeFileSync(file, serialize(fixture));
+        console.log(`${path.relative(process.cwd(), file)}: ${fixture.frames.length} frames, ${fixture.expected.reps} reps`);
+    });
+}
+
+main();
@@ -0,0 +1,62 @@
+// ============================================
+// KETTLEBELL VBT - Vendor Offline Assets
+// Downloads the pinned files in offline-assets.js into vendor/
+// ============================================
+//
+// npm run vendor            fetch anything missing
+// npm run vendor -- --force fetch everything again
+//
+// Commit vendor/ (or run this before deploying) so the live tracker loads without a CDN.
+
+const fsp = require('fs/promises');
+const path = require('path');
+const OfflineAssets = require('../offline-assets');
+
+const ROOT = path.join(__dirname, '..');
+
+async function exists(file) {
+    try {
+        await fsp.access(file);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Written next to the file first, so an interrupted download never leaves a partial copy in place
+async function download(url, target) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+    const data = Buffer.from(await response.arrayBuffer());
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await fsp.writeFile(`${target}.tmp`, data);
+    await fsp.rename(`${target}.tmp`, target);
+    return data.length;
+}
+
+async function main() {
+    const force = process.argv.includes('--force');
+    let failed = 0;
+
+    for (const [local, url] of Object.entries(OfflineAssets.FILES)) {
+        const target = path.join(ROOT, local);
+        if (!force && await exists(target)) {
+            console.log(`✓ ${local}`);
+            continue;
+        }
+        try {
+            const bytes = await download(url, target);
+            console.log(`↓ ${local} (${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+        } catch (error) {
+            failed++;
+            console.error(`✗ ${local}: ${error.message}`);
+        }
+    }
+
+    if (failed > 0) {
+        console.error(`${failed} file${failed === 1 ? '' : 's'} not downloaded - the page falls back to the CDN for them`);
+        process.exitCode = 1;
+    }
+}
+
+main();
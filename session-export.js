@@ -0,0 +1,426 @@
+// ============================================
+// KETTLEBELL VBT - Session Export / Import
+// CSV (one row per rep, or one per session without reps), versioned JSON and TCX training logs
+// ============================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SessionExport = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const EXPORT_FORMAT = 'kb-vbt-sessions';
+    const EXPORT_VERSION = 1;
+
+    const CSV_COLUMNS = [
+        'session_id', 'date', 'athlete', 'exercise', 'weight_kg', 'source',
+        'rep', 'arm', 'start_time', 'end_time', 'duration_s',
+        'velocity_score', 'peak_velocity_ms', 'mean_velocity_ms', 'deviation_pct'
+    ];
+
+    const REP_ARMS = ['Left', 'Right', 'Both', 'Unknown'];
+    const SUMMARY_NUMBERS = [
+        'totalReps', 'avgDuration', 'avgVelocity', 'baselineVelocity', 'fastestRep', 'slowestRep', 'velocityDropoff'
+    ];
+
+    class SessionExport {
+        // --- Export ---
+
+        // Versioned so later releases can migrate older files on import
+        static toJSON(sessions) {
+            return JSON.stringify({
+                format: EXPORT_FORMAT,
+                version: EXPORT_VERSION,
+                exportedAt: new Date().toISOString(),
+                sessions
+            }, null, 2);
+        }
+
+        // Deviation matches the results table: rep duration vs the session's average duration
+        static toCSV(sessions) {
+            const lines = [CSV_COLUMNS.join(',')];
+            sessions.forEach(session => {
+                const avgDuration = session.summary && session.summary.avgDuration;
+                const sessionFields = [session.id, session.date, session.athlete, session.exercise, session.weight, session.source];
+                const reps = session.reps || [];
+
+                // A session without reps (an empty or failed analysis) still gets a row, with the rep columns blank
+                if (reps.length === 0) {
+                    const blankReps = CSV_COLUMNS.slice(sessionFields.length).map(() => null);
+                    lines.push([...sessionFields, ...blankReps].map(SessionExport.csvField).join(','));
+                }
+                reps.forEach(rep => {
+                    const deviation = avgDuration ? (rep.duration - avgDuration) / avgDuration * 100 : null;
+                    lines.push([
+                        ...sessionFields,
+                        rep.repNumber,
+                        rep.arm,
+                        rep.startTime,
+                        rep.endTime,
+                        rep.duration,
+                        rep.velocityScore,
+                        rep.peakVelocity,
+                        rep.meanVelocity,
+                        deviation === null ? null : Math.round(deviation * 10) / 10
+                    ].map(SessionExport.csvField).join(','));
+                });
+            });
+            return lines.join('\r\n') + '\r\n';
+        }
+
+        // Garmin Training Center format - one activity per session, one lap per rep.
+        // Peak velocity in m/s goes into the lap's MaximumSpeed; everything else is in the notes.
+        static toTCX(sessions) {
+            const activities = sessions.map(session => {
+                const start = new Date(session.date);
+                const laps = (session.reps || []).map(rep => SessionExport.tcxLap(
+                    new Date(start.getTime() + SessionExport.parseClock(rep.startTime) * 1000),
+                    rep.duration,
+                    rep.peakVelocity,
+                    SessionExport.describeRep(rep)
+                ));
+
+                // TCX needs at least one lap - summary-only sessions get a single lap for the whole set
+                if (laps.length === 0) {
+                    const summary = session.summary || {};
+                    laps.push(SessionExport.tcxLap(start, (summary.totalReps || 0) * (summary.avgDuration || 0), null,
+                        `${summary.totalReps || 0} reps`));
+                }
+
+                return `    <Activity Sport="Other">
+          <Id>${start.toISOString()}</Id>
+    ${laps.join('\n')}
+          <Notes>${SessionExport.xmlEscape(SessionExport.describeSession(session))}</Notes>
+        </Activity>`;
+            });
+
+            return `<?xml version="1.0" encoding="UTF-8"?>
+    <TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+      <Activities>
+    ${activities.join('\n')}
+      </Activities>
+    </TrainingCenterDatabase>
+    `;
+        }
+
+        static tcxLap(start, seconds, peakVelocity, notes) {
+            const speed = typeof peakVelocity === 'number'
+                ? `\n        <MaximumSpeed>${peakVelocity}</MaximumSpeed>`
+                : '';
+            return `      <Lap StartTime="${start.toISOString()}">
+            <TotalTimeSeconds>${seconds}</TotalTimeSeconds>
+            <DistanceMeters>0</DistanceMeters>${speed}
+            <Calories>0</Calories>
+            <Intensity>Active</Intensity>
+            <TriggerMethod>Manual</TriggerMethod>
+            <Notes>${SessionExport.xmlEscape(notes)}</Notes>
+          </Lap>`;
+        }
+
+        static describeSession(session) {
+            const summary = session.summary || {};
+            const velocity = summary.velocityUnit === 'm/s'
+                ? `${summary.avgVelocity} m/s avg`
+                : `${summary.avgVelocity}/10 avg velocity`;
+            const parts = [
+                `${session.athlete}: ${session.exercise} ${session.weight}kg`,
+                `${summary.totalReps} reps`,
+                velocity,
+                `${summary.velocityDropoff}% drop`
+            ];
+            if (session.coachingNotes) parts.push(session.coachingNotes);
+            return parts.join(' · ');
+        }
+
+        static describeRep(rep) {
+            const velocity = typeof rep.peakVelocity === 'number'
+                ? `${rep.peakVelocity} m/s peak`
+                : (typeof rep.velocityScore === 'number' ? `velocity ${rep.velocityScore}/10` : 'no velocity');
+            return `Rep ${rep.repNumber} (${rep.arm}) ${velocity}`;
+        }
+
+        static download(content, filename, type) {
+            const url = URL.createObjectURL(new Blob([content], { type }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+
+        // format: 'csv' | 'json' | 'tcx'
+        static exportSessions(sessions, format, basename) {
+            const stamp = new Date().toISOString().slice(0, 10);
+            switch (format) {
+                case 'csv':
+                    return SessionExport.download(SessionExport.toCSV(sessions), `${basename}-${stamp}.csv`, 'text/csv');
+                case 'json':
+                    return SessionExport.download(SessionExport.toJSON(sessions), `${basename}-${stamp}.json`, 'application/json');
+                case 'tcx':
+                    return SessionExport.download(SessionExport.toTCX(sessions), `${basename}-${stamp}.tcx`, 'application/vnd.garmin.tcx+xml');
+                default:
+                    throw new Error(`Unknown export format: ${format}`);
+            }
+        }
+
+        // --- Import ---
+
+        // Accepts our JSON export or our CSV export; returns an array of sessions
+        static parse(text, filename = '') {
+            const trimmed = text.trim();
+            if (filename.toLowerCase().endsWith('.json') || trimmed.startsWith('{')) {
+                return SessionExport.parseJSON(trimmed);
+            }
+            if (filename.toLowerCase().endsWith('.csv') || trimmed.startsWith('session_id')) {
+                return SessionExport.parseCSV(trimmed);
+            }
+            throw new Error('Unsupported file - import a CSV or JSON session export');
+        }
+
+        static parseJSON(text) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('File is not valid JSON');
+            }
+            if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.sessions)) {
+                throw new Error('Not a Kettlebell VBT session export');
+            }
+            if (data.version > EXPORT_VERSION) {
+                throw new Error(`Export version ${data.version} is newer than this app supports`);
+            }
+            return data.sessions.map((session, index) => SessionExport.validateSession(session, `Session ${index + 1}`));
+        }
+
+        // Rebuilds sessions from rep rows; summaries are recomputed since the CSV only carries reps
+        static parseCSV(text) {
+            const rows = SessionExport.parseCSVRows(text);
+            const header = rows.shift() || [];
+            const missing = CSV_COLUMNS.filter(column => !header.includes(column));
+            if (missing.length > 0) {
+                throw new Error(`CSV is missing columns: ${missing.join(', ')}`);
+            }
+
+            const sessions = new Map();
+            rows.forEach(cells => {
+                const row = {};
+                header.forEach((column, i) => { row[column] = cells[i] === undefined ? '' : cells[i]; });
+                if (!row.session_id) return;
+
+                if (!sessions.has(row.session_id)) {
+                    sessions.set(row.session_id, {
+                        id: row.session_id,
+                        date: row.date,
+                        athlete: row.athlete,
+                        exercise: row.exercise,
+                        weight: Number(row.weight_kg) || 0,
+                        source: row.source || 'import',
+                        reps: [],
+                        coachingNotes: '',
+                        warnings: []
+                    });
+                }
+                // The row of a session without reps
+                if (row.rep === '') return;
+
+                const rep = {
+                    repNumber: Number(row.rep),
+                    arm: row.arm,
+                    startTime: row.start_time,
+                    endTime: row.end_time,
+                    duration: Number(row.duration_s),
+                    velocityScore: SessionExport.optionalNumber(row.velocity_score)
+                };
+                const peak = SessionExport.optionalNumber(row.peak_velocity_ms);
+                const mean = SessionExport.optionalNumber(row.mean_velocity_ms);
+                if (peak !== null) rep.peakVelocity = peak;
+                if (mean !== null) rep.meanVelocity = mean;
+                sessions.get(row.session_id).reps.push(rep);
+            });
+
+            return [...sessions.values()].map(session => SessionExport.validateSession({
+                ...session,
+                summary: SessionExport.summarize(session.reps)
+            }, `Session ${session.id}`));
+        }
+
+        // Imported files are untrusted: every field the app reads must have the type it expects.
+        // Returns a checked copy (unknown fields kept as they are) or throws naming the bad record.
+        static validateSession(record, label) {
+            const fail = (message) => { throw new Error(`${label}: ${message}`); };
+            if (!SessionExport.isObject(record)) fail('not a session record');
+
+            const session = { ...record };
+            if (typeof session.id !== 'string' || !session.id) fail('missing id');
+            if (typeof session.date !== 'string' || isNaN(new Date(session.date))) fail('missing or invalid date');
+            ['athlete', 'exercise', 'source', 'coachingNotes'].forEach(field => {
+                if (session[field] !== undefined && session[field] !== null && typeof session[field] !== 'string') {
+                    fail(`${field} must be text`);
+                }
+            });
+            session.athlete = session.athlete || '';
+            session.exercise = session.exercise || '';
+            session.source = session.source || 'import';
+            session.coachingNotes = session.coachingNotes || '';
+
+            // The live tracker stores the weight as typed, so numeric strings are accepted
+            const weight = session.weight === undefined || session.weight === null || session.weight === '' ? 0 : session.weight;
+            if (!['number', 'string'].includes(typeof weight) || !(Number.isFinite(Number(weight)) && Number(weight) >= 0)) fail('weight must be a number');
+            session.weight = Number(weight);
+
+            if (session.reps === undefined || session.reps === null) session.reps = [];
+            if (!Array.isArray(session.reps)) fail('reps must be a list');
+            session.reps = session.reps.map((rep, index) => SessionExport.validateRep(rep, `${label}, rep ${index + 1}`));
+
+            if (session.warnings === undefined || session.warnings === null) session.warnings = [];
+            if (!Array.isArray(session.warnings)) fail('warnings must be a list');
+            session.warnings.forEach((item, index) => {
+                if (!SessionExport.isObject(item) || typeof item.message !== 'string') fail(`warning ${index + 1} has no message`);
+            });
+
+            if (session.summary !== undefined && session.summary !== null && !SessionExport.isObject(session.summary)) {
+                fail('summary must be an object');
+            }
+            if (session.summary) {
+                SUMMARY_NUMBERS.forEach(field => {
+                    const value = session.summary[field];
+                    if (value !== undefined && value !== null && !Number.isFinite(value)) fail(`summary.${field} must be a number`);
+                });
+                if (session.summary.velocityUnit !== undefined && !['m/s', 'score'].includes(session.summary.velocityUnit)) {
+                    fail('summary.velocityUnit must be "m/s" or "score"');
+                }
+            }
+            session.summary = SessionExport.summaryOf(session);
+
+            if (session.protocol !== undefined && session.protocol !== null && !SessionExport.isObject(session.protocol)) {
+                fail('protocol must be an object');
+            }
+            return session;
+        }
+
+        static validateRep(rep, label) {
+            const fail = (message) => { throw new Error(`${label}: ${message}`); };
+            if (!SessionExport.isObject(rep)) fail('not a rep record');
+            if (!Number.isInteger(rep.repNumber) || rep.repNumber < 1) fail('repNumber must be a whole number');
+            if (!REP_ARMS.includes(rep.arm)) fail(`arm must be one of ${REP_ARMS.join(', ')}`);
+            ['startTime', 'endTime'].forEach(field => {
+                if (rep[field] !== undefined && rep[field] !== null && typeof rep[field] !== 'string') fail(`${field} must be text`);
+            });
+            if (!Number.isFinite(rep.duration) || rep.duration < 0) fail('duration must be a number');
+            ['velocityScore', 'peakVelocity', 'meanVelocity'].forEach(field => {
+                if (rep[field] !== undefined && rep[field] !== null && !Number.isFinite(rep[field])) fail(`${field} must be a number`);
+            });
+            return { ...rep };
+        }
+
+        // A usable summary for any stored or imported session: the recorded numbers where present,
+        // recomputed from the reps where missing (older records and hand-edited files)
+        static summaryOf(session) {
+            const stored = SessionExport.isObject(session.summary) ? session.summary : {};
+            const computed = SessionExport.summarize(Array.isArray(session.reps) ? session.reps : []);
+            const summary = { ...computed, ...stored };
+            SUMMARY_NUMBERS.forEach(field => {
+                if (!Number.isFinite(summary[field])) summary[field] = field in computed ? computed[field] : null;
+            });
+            if (!['m/s', 'score'].includes(summary.velocityUnit)) summary.velocityUnit = computed.velocityUnit;
+            return summary;
+        }
+
+        static summarize(reps) {
+            const measured = reps.every(rep => typeof rep.peakVelocity === 'number');
+            const velocities = reps.map(rep => measured ? rep.peakVelocity : rep.velocityScore)
+                .map(value => typeof value === 'number' ? value : 0);
+            const average = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+            // Same rule as calculateDropoff in api/analyze.js: first rep vs last rep
+            const first = velocities[0] || 0;
+            const last = velocities[velocities.length - 1] || 0;
+            const dropoff = velocities.length >= 2 && first > 0 ? (first - last) / first * 100 : 0;
+
+            return {
+                totalReps: reps.length,
+                avgDuration: Math.round(average(reps.map(rep => rep.duration)) * 100) / 100,
+                avgVelocity: Math.round(average(velocities) * 100) / 100,
+                velocityUnit: measured ? 'm/s' : 'score',
+                fastestRep: velocities.indexOf(Math.max(...velocities)) + 1,
+                slowestRep: velocities.indexOf(Math.min(...velocities)) + 1,
+                velocityDropoff: Math.round(dropoff * 10) / 10
+            };
+        }
+
+        // --- Helpers ---
+
+        static csvField(value) {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }
+
+        static parseCSVRows(text) {
+            const rows = [];
+            let row = [];
+            let field = '';
+            let quoted = false;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (quoted) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"') {
+                    quoted = true;
+                } else if (char === ',') {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                } else {
+                    field += char;
+                }
+            }
+            if (field !== '' || row.length > 0) {
+                row.push(field);
+                rows.push(row);
+            }
+            return rows;
+        }
+
+        static isObject(value) {
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        }
+
+        static optionalNumber(value) {
+            return value === '' || value === undefined || isNaN(Number(value)) ? null : Number(value);
+        }
+
+        // "MM:SS.s" -> seconds
+        static parseClock(value) {
+            const match = /^(\d+):(\d+(?:\.\d+)?)$/.exec(value || '');
+            return match ? Number(match[1]) * 60 + Number(match[2]) : 0;
+        }
+
+        static xmlEscape(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+    }
+
+    return SessionExport;
+});
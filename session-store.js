@@ -0,0 +1,127 @@
+// ============================================
+// KETTLEBELL VBT - Session Store (IndexedDB)
+// Shared by the upload app and the live tracker
+// ============================================
+
+const SESSION_DB_NAME = 'kb-vbt';
+const SESSION_DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+// A session: { id, athlete, exercise, weight, date (ISO), source ('upload' | 'live'),
+//              protocol, reps: [...], summary: {...}, coachingNotes, warnings }
+class SessionStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+                    store.createIndex('athlete', 'athlete');
+                    store.createIndex('series', ['athlete', 'exercise', 'weight']);
+                    store.createIndex('date', 'date');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(SESSION_STORE, mode);
+            const request = work(tx.objectStore(SESSION_STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // Saving a session with an existing id replaces it
+    async saveSession(session) {
+        const record = {
+            ...session,
+            id: session.id || crypto.randomUUID(),
+            athlete: SessionStore.normalizeAthlete(session.athlete),
+            weight: Number(session.weight) || 0,
+            date: session.date || new Date().toISOString()
+        };
+        await this.transaction('readwrite', store => store.put(record));
+        return record;
+    }
+
+    getSession(id) {
+        return this.transaction('readonly', store => store.get(id));
+    }
+
+    deleteSession(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    // Filter by any of athlete/exercise/weight; results are oldest first
+    async listSessions({ athlete, exercise, weight } = {}) {
+        let sessions;
+        if (athlete !== undefined && exercise && weight) {
+            const key = [SessionStore.normalizeAthlete(athlete), exercise, Number(weight)];
+            sessions = await this.transaction('readonly', store => store.index('series').getAll(IDBKeyRange.only(key)));
+        } else {
+            sessions = await this.transaction('readonly', store => store.getAll());
+            sessions = sessions.filter(session =>
+                (athlete === undefined || session.athlete === SessionStore.normalizeAthlete(athlete)) &&
+                (!exercise || session.exercise === exercise) &&
+                (!weight || session.weight === Number(weight)));
+        }
+        return sessions.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Merge imported sessions; an id that is already stored is kept as is
+    async importSessions(sessions) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(SESSION_STORE, 'readwrite');
+            const store = tx.objectStore(SESSION_STORE);
+            const result = { added: 0, skipped: 0 };
+
+            sessions.forEach(session => {
+                const record = {
+                    ...session,
+                    athlete: SessionStore.normalizeAthlete(session.athlete),
+                    weight: Number(session.weight) || 0
+                };
+                const request = store.add(record);
+                request.onsuccess = () => { result.added++; };
+                request.onerror = (event) => {
+                    // ConstraintError: duplicate id - don't let it abort the transaction
+                    if (request.error && request.error.name === 'ConstraintError') {
+                        event.preventDefault();
+                        event.stopPropagation();
+                        result.skipped++;
+                    }
+                };
+            });
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async listAthletes() {
+        const sessions = await this.transaction('readonly', store => store.getAll());
+        return [...new Set(sessions.map(session => session.athlete))].sort();
+    }
+
+    static normalizeAthlete(name) {
+        return (name || '').trim() || 'Unassigned';
+    }
+}
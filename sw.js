@@ -0,0 +1,133 @@
+// ============================================
+// KETTLEBELL VBT - Service Worker
+// Keeps the live tracker working offline
+// ============================================
+//
+// - The page and its scripts: network first (so updates arrive), the cached copy when offline
+// - Pinned MediaPipe, model and Tailwind files (offline-assets.js): cache first, from vendor/ or the CDN
+// - Everything else, including Gemini and /api calls, goes straight to the network
+
+importScripts('offline-assets.js');
+
+const CACHE_PREFIX = 'kb-vbt-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v1`;
+const ASSET_CACHE = `${CACHE_PREFIX}assets-${OfflineAssets.VERSION}`;
+
+// A slow connection shouldn't hold the page up when a cached copy is there
+const NETWORK_TIMEOUT_MS = 3000;
+
+const SHELL_FILES = [
+    './',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'offline-assets.js',
+    'session-store.js',
+    'session-export.js',
+    'calibration.js',
+    'rep-models.js',
+    'protocols.js',
+    'live-engine.js',
+    'load-velocity.js',
+    'video-export.js',
+    'cues.js'
+];
+
+const PINNED_URLS = new Set([
+    ...Object.keys(OfflineAssets.FILES).map(file => new URL(file, self.registration.scope).href),
+    ...Object.values(OfflineAssets.FILES)
+]);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+
+        // Vendored copies when `npm run vendor` has been run, the pinned CDN files otherwise
+        const assets = await caches.open(ASSET_CACHE);
+        await Promise.all(Object.entries(OfflineAssets.FILES).map(async ([local, remote]) => {
+            try {
+                await assets.add(local);
+            } catch (error) {
+                await assets.add(new Request(remote, { mode: 'cors' })).catch(() => {
+                    console.warn(`Not cached for offline use: ${local}`);
+                });
+            }
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, ASSET_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !keep.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, './').then(withIsolationHeaders));
+    } else if (PINNED_URLS.has(url.href)) {
+        event.respondWith(cacheFirst(request, ASSET_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+async function networkFirst(request, cacheName, fallbackUrl = null) {
+    const cache = await caches.open(cacheName);
+    const network = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    // Whoever loses the race below still gets the outcome; this only stops an unhandled rejection
+    network.catch(() => {});
+
+    const cached = async () => (await cache.match(request)) || (fallbackUrl && await cache.match(fallbackUrl));
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS));
+
+    try {
+        const response = await Promise.race([network, timeout]);
+        if (response) return response;
+        // Too slow: use the cached copy if there is one, otherwise keep waiting
+        return (await cached()) || await network;
+    } catch (error) {
+        const response = await cached();
+        if (response) return response;
+        throw error;
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+// MediaPipe's threaded WASM needs a cross-origin isolated page. Vercel adds COOP/COEP (vercel.JSON),
+// but a page answered from the cache only has the headers it was stored with, so set them again.
+function withIsolationHeaders(response) {
+    if (!response || response.type === 'opaque') return response;
+    const headers = new Headers(response.headers);
+    headers.set('Cross-Origin-Embedder-Policy', 'require-corp');
+    headers.set('Cross-Origin-Opener-Policy', 'same-origin');
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
@@ -0,0 +1,204 @@
+// ============================================
+// KETTLEBELL VBT - Analysis API Parsing Tests
+// Prompt building and model response parsing in api/analyze.js, keypoint analysis in lib/landmark-analyzer.js
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildPrompt, getArmContext, parseGeminiResponse, calculateDropoff } = require('../api/analyze');
+const { analyzeKeypoints, formatTimestamp } = require('../lib/landmark-analyzer');
+const LiveEngine = require('../live-engine');
+const Protocols = require('../protocols');
+
+const SWING = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'landmarks', 'synthetic', 'swing-fatigue.json'), 'utf8'));
+
+const RECORDED_RESPONSE = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'responses', 'default.json'), 'utf8');
+
+const PROTOCOL = {
+    exercise: 'snatch',
+    weight: 24,
+    repsPerSet: 2,
+    interval: 30,
+    armPattern: 'alternating-sets',
+    startingArm: 'left'
+};
+
+function codes(warnings) {
+    return warnings.map(item => item.code);
+}
+
+test('buildPrompt describes the protocol', () => {
+    const prompt = buildPrompt(PROTOCOL);
+    assert.match(prompt, /Exercise: kettlebell snatch/);
+    assert.match(prompt, /Weight: 24kg/);
+    assert.match(prompt, /Expected: 2 reps every 30 seconds/);
+    assert.match(prompt, /Arms alternate each set \(every 30 seconds\)\. Starting arm: LEFT\./);
+    assert.match(prompt, /"reps": \[/);
+});
+
+test('buildPrompt falls back to a generic exercise name', () => {
+    assert.match(buildPrompt({ ...PROTOCOL, exercise: 'turkish-getup' }), /Exercise: kettlebell exercise/);
+    assert.match(buildPrompt({ ...PROTOCOL, exercise: 'clean-press' }), /Exercise: kettlebell clean and press/);
+});
+
+test('getArmContext covers every arm pattern', () => {
+    assert.equal(getArmContext({ armPattern: 'left-only' }), 'All reps are performed with the LEFT arm.');
+    assert.equal(getArmContext({ armPattern: 'right-only' }), 'All reps are performed with the RIGHT arm.');
+    assert.match(getArmContext({ armPattern: 'alternating-reps', startingArm: 'right' }), /each rep\. Starting arm: RIGHT/);
+    assert.match(getArmContext({ armPattern: 'both' }), /two-handed/);
+    assert.match(getArmContext({ armPattern: undefined }), /visual observation/);
+});
+
+test('parseGeminiResponse reads a recorded response', () => {
+    const result = parseGeminiResponse(RECORDED_RESPONSE, PROTOCOL);
+    assert.equal(result.totalReps, 4);
+    assert.deepEqual(result.reps.map(rep => rep.arm), ['Left', 'Left', 'Right', 'Right']);
+    assert.equal(result.avgVelocity, 7.5);
+    assert.equal(result.fastestRep, 1);
+    assert.equal(result.slowestRep, 3);
+    assert.equal(result.velocityDropoff, 12.5);
+    assert.match(result.coachingNotes, /consistent lockouts/);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('parseGeminiResponse strips code fences and surrounding text', () => {
+    const fenced = parseGeminiResponse('```json\n' + RECORDED_RESPONSE + '\n```', PROTOCOL);
+    assert.equal(fenced.totalReps, 4);
+
+    const chatty = parseGeminiResponse(`Here is the analysis:\n${RECORDED_RESPONSE}\nLet me know if you need more.`, PROTOCOL);
+    assert.equal(chatty.totalReps, 4);
+    assert.deepEqual(chatty.warnings, []);
+});
+
+test('parseGeminiResponse reports unreadable responses instead of guessing', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const result = parseGeminiResponse('Sorry, I could not analyze this video.', PROTOCOL);
+    assert.deepEqual(result.reps, []);
+    assert.equal(result.totalReps, 0);
+    assert.equal(result.fastestRep, null);
+    assert.deepEqual(codes(result.warnings), ['invalid_json']);
+    assert.equal(result.warnings[0].severity, 'error');
+});
+
+test('parseGeminiResponse recomputes the summary and flags the difference', () => {
+    const data = JSON.parse(RECORDED_RESPONSE);
+    data.summary.totalReps = 6;
+    data.summary.velocityDropPercent = 40;
+    const result = parseGeminiResponse(JSON.stringify(data), PROTOCOL);
+    assert.equal(result.totalReps, 4);
+    assert.equal(result.velocityDropoff, 12.5);
+    assert.deepEqual(codes(result.warnings), ['summary_mismatch', 'summary_mismatch']);
+});
+
+test('parseGeminiResponse repairs reps against the protocol', () => {
+    const data = JSON.parse(RECORDED_RESPONSE);
+    delete data.summary;
+    data.coachingNotes = '';
+    data.reps[1].startTime = '0:05';       // lenient format, normalised
+    data.reps[2].arm = 'Left';             // contradicts alternating sets
+    data.reps[3].endTime = '00:35.0';      // before its start - dropped
+    const result = parseGeminiResponse(JSON.stringify(data), PROTOCOL);
+
+    assert.equal(result.totalReps, 3);
+    assert.equal(result.reps[1].startTime, '00:05.0');
+    assert.equal(result.reps[2].arm, 'Right');
+    assert.deepEqual(codes(result.warnings).sort(), ['arm_mismatch', 'end_before_start', 'timestamp_format']);
+    assert.equal(result.coachingNotes, 'Analysis complete. Review the rep-by-rep data for insights.');
+});
+
+test('parseGeminiResponse reports a payload that is not an object as invalid JSON', (t) => {
+    t.mock.method(console, 'error', () => {});
+    ['null', '42', '[{"repNumber": 1}]', '"reps"'].forEach(text => {
+        const result = parseGeminiResponse(text, PROTOCOL);
+        assert.deepEqual(result.reps, [], text);
+        assert.deepEqual(codes(result.warnings), ['invalid_json'], text);
+        assert.match(result.warnings[0].message, /expected a JSON object/, text);
+    });
+});
+
+test('parseGeminiResponse flags a payload without reps', () => {
+    const result = parseGeminiResponse('{"summary": {"totalReps": 3}}', PROTOCOL);
+    assert.equal(result.totalReps, 0);
+    assert.ok(codes(result.warnings).includes('missing_reps'));
+});
+
+test('calculateDropoff compares the first and last velocity scores', () => {
+    assert.equal(calculateDropoff([]), 0);
+    assert.equal(calculateDropoff([{ velocityScore: 8 }]), 0);
+    assert.equal(calculateDropoff([{ velocityScore: 8 }, { velocityScore: 9 }, { velocityScore: 6 }]), 25);
+    assert.equal(calculateDropoff([{ velocityScore: 6 }, { velocityScore: 9 }]), -50);
+    assert.equal(calculateDropoff([{ velocityScore: 0 }, { velocityScore: 5 }]), 0);
+});
+
+// The upload form's protocol for a landmark fixture
+function uploadProtocol(fixture, extra = {}) {
+    const { exercise, armPattern, startingArm, protocol } = fixture.setup;
+    return { exercise, armPattern, startingArm, weight: 24, test: protocol, ...extra };
+}
+
+test('analyzeKeypoints reports what the live engine measures', () => {
+    const result = analyzeKeypoints(SWING, uploadProtocol(SWING));
+    const { engine } = LiveEngine.replay(SWING);
+
+    assert.equal(result.source, 'keypoints');
+    assert.equal(result.totalReps, engine.state.reps);
+    assert.deepEqual(result.reps.map(rep => rep.peakVelocity), engine.state.repLog.map(rep => rep.peakVelocity));
+    assert.deepEqual(result.reps.map(rep => rep.zone), engine.state.repLog.map(rep => rep.zone));
+    assert.deepEqual(result.stop, engine.state.stop);
+    assert.equal(result.velocityDropoff, Math.round(engine.state.maxDropOff * 10) / 10);
+    assert.ok(codes(result.warnings).includes('no_count'));
+});
+
+test('analyzeKeypoints reports video timestamps', () => {
+    const result = analyzeKeypoints(SWING, uploadProtocol(SWING));
+    const { engine } = LiveEngine.replay(SWING);
+    const { startTime, repLog } = engine.state;
+    assert.ok(startTime > 0);
+    assert.equal(result.reps[0].startTime, formatTimestamp(startTime));
+    assert.equal(result.reps[2].endTime, formatTimestamp(startTime + repLog[2].endTime));
+});
+
+test('analyzeKeypoints judges the set by the protocol it is given', () => {
+    const standard = analyzeKeypoints(SWING, uploadProtocol(SWING));
+    const power = analyzeKeypoints(SWING, uploadProtocol(SWING, { test: Protocols.PRESETS.find(item => item.id === 'power') }));
+    const untested = analyzeKeypoints(SWING, uploadProtocol(SWING, { test: undefined }));
+
+    assert.equal(power.totalReps, standard.totalReps);
+    assert.deepEqual(power.protocol, { id: 'power', name: 'Power (10% loss)', zones: { warning: 5, critical: 10 } });
+    assert.notDeepEqual(power.stop, standard.stop);
+    assert.match(power.coachingNotes, /Baseline \(best of 2 reps\)/);
+    assert.equal(untested.protocol.id, 'standard');
+});
+
+test('analyzeKeypoints applies the calibration', () => {
+    const calibration = { method: 'shoulder-width', shoulderWidth: 0.8 };
+    const base = analyzeKeypoints(SWING, uploadProtocol(SWING));
+    const scaled = analyzeKeypoints({ ...SWING, calibration }, uploadProtocol(SWING));
+    assert.ok(Math.abs(scaled.avgVelocity / base.avgVelocity - 2) < 0.02);
+});
+
+test('analyzeKeypoints ignores the jump across a gap in the stream', () => {
+    // Drop two seconds of frames: the wrist moves a long way while nothing is seen
+    const frames = SWING.frames.filter(frame => frame.timestamp < 1600 || frame.timestamp > 3600);
+    const result = analyzeKeypoints({ ...SWING, frames }, uploadProtocol(SWING));
+    const fastest = Math.max(...SWING.expected.repLog.map(rep => rep.peakVelocity));
+    result.reps.forEach(rep => assert.ok(rep.peakVelocity <= fastest * 1.05, `rep ${rep.repNumber} peak ${rep.peakVelocity}`));
+});
+
+test('an invalid test protocol is rejected as bad input', async () => {
+    const handler = require('../api/analyze');
+    const post = (protocol) => new Promise((resolve, reject) => {
+        const res = { status: (code) => ({ json: (body) => resolve({ status: code, body }) }) };
+        handler({ method: 'POST', body: { keypoints: SWING, protocol } }, res).catch(reject);
+    });
+
+    const inverted = await post(uploadProtocol(SWING, { test: { zones: { warning: 30, critical: 10 } } }));
+    assert.equal(inverted.status, 400);
+    assert.equal(inverted.body.error, 'Invalid protocol');
+    assert.match(inverted.body.message, /critical drop/);
+
+    assert.match((await post(uploadProtocol(SWING, { test: 'standard' }))).body.message, /must be a test protocol object/);
+    assert.match((await post(uploadProtocol(SWING, { repsPerSet: 500 }))).body.message, /sets\.repsPerSet/);
+});
@@ -0,0 +1,79 @@
+// ============================================
+// KETTLEBELL VBT - Calibration Tests
+// Calibration records and the per-frame scale in calibration.js
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Calibration = require('../calibration');
+
+const WIDTH = 640;
+const HEIGHT = 480;
+
+// Shoulders `turn` radians away from the camera: narrower on screen, apart in depth
+function shoulders(turn, span = 0.2) {
+    const landmarks = Array.from({ length: 25 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+    const half = span / 2;
+    landmarks[11] = { x: 0.5 + half * Math.cos(turn), y: 0.4, z: half * Math.sin(turn) };
+    landmarks[12] = { x: 0.5 - half * Math.cos(turn), y: 0.4, z: -half * Math.sin(turn) };
+    return landmarks;
+}
+
+const FRONT_SCALE = Calibration.DEFAULT_SHOULDER_WIDTH / (0.2 * WIDTH);
+
+test('front-on shoulders set the scale', () => {
+    const scale = Calibration.createScaler(null)(shoulders(0), WIDTH, HEIGHT);
+    assert.ok(Math.abs(scale.metersPerPixel - FRONT_SCALE) < 1e-12);
+    assert.equal(scale.foreshortened, false);
+    assert.ok(Math.abs(scale.facing - 1) < 1e-9);
+
+    // A measured shoulder width replaces the default
+    const wide = Calibration.createScaler(Calibration.create({ method: 'shoulder-width', shoulderWidth: 0.5 }));
+    assert.ok(Math.abs(wide(shoulders(0), WIDTH, HEIGHT).metersPerPixel - 0.5 / (0.2 * WIDTH)) < 1e-12);
+});
+
+test('a turned torso is flagged and keeps the last front-on scale', () => {
+    const scaler = Calibration.createScaler(null);
+    // 30 degrees is still inside the limit
+    const slight = scaler(shoulders(Math.PI / 6), WIDTH, HEIGHT);
+    assert.equal(slight.foreshortened, false);
+
+    scaler(shoulders(0), WIDTH, HEIGHT);
+    const turned = scaler(shoulders(Math.PI / 4), WIDTH, HEIGHT);
+    assert.equal(turned.foreshortened, true);
+    assert.ok(turned.facing < Calibration.FORESHORTENING_LIMIT);
+    assert.ok(Math.abs(turned.metersPerPixel - FRONT_SCALE) < 1e-12);
+});
+
+test('a side-on view with no front-on frame keeps its own flagged scale', () => {
+    const scaler = Calibration.createScaler(null);
+    const turned = scaler(shoulders(Math.PI / 4), WIDTH, HEIGHT);
+    assert.equal(turned.foreshortened, true);
+    assert.ok(turned.metersPerPixel > FRONT_SCALE * 1.4);
+});
+
+test('a clicked reference ignores the torso', () => {
+    const record = Calibration.create({ method: 'points', distance: 1, points: [{ x: 0, y: 0 }, { x: 200, y: 0 }] });
+    const scaler = Calibration.createScaler(record);
+    const turned = scaler(shoulders(Math.PI / 3), WIDTH, HEIGHT);
+    assert.equal(turned.metersPerPixel, 0.005);
+    assert.equal(turned.foreshortened, false);
+    // Even with the shoulders collapsed to a point
+    assert.equal(scaler(shoulders(0, 0), WIDTH, HEIGHT).metersPerPixel, 0.005);
+});
+
+test('collapsed shoulders give no scale', () => {
+    assert.equal(Calibration.createScaler(null)(shoulders(0, 0.005), WIDTH, HEIGHT), null);
+});
+
+test('records check their inputs', () => {
+    assert.throws(() => Calibration.create({ method: 'height' }), /Enter a height/);
+    assert.throws(() => Calibration.create({ method: 'points', distance: 1, points: [{ x: 0, y: 0 }] }), /two points/);
+    assert.throws(() => Calibration.create({ method: 'points', distance: 1, points: [{ x: 0, y: 0 }, { x: 2, y: 2 }] }), /too close/);
+    assert.throws(() => Calibration.create({ method: 'tape' }), /Unknown calibration method/);
+
+    const height = Calibration.create({ method: 'height', height: 1.8 });
+    assert.ok(Math.abs(height.shoulderWidth - 1.8 * Calibration.SHOULDER_TO_HEIGHT) < 1e-12);
+    assert.equal(Calibration.kettlebellDiameter(23), Calibration.CAST_IRON_DIAMETERS[22]);
+    assert.equal(Calibration.kettlebellDiameter(32, 'competition'), Calibration.COMPETITION_BELL_DIAMETER);
+});
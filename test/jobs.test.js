@@ -0,0 +1,180 @@
+// ============================================
+// KETTLEBELL VBT - Analysis Jobs Tests
+// Job store status rules and cancellation in api/jobs.js
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryJobStore, FileJobStore, getJobStore } = require('../lib/job-store');
+const handler = require('../api/jobs');
+
+const KEYPOINTS = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'landmarks', 'synthetic', 'swing-fatigue.json'), 'utf8'));
+const PROTOCOL = { exercise: 'swing', armPattern: 'right-only', startingArm: 'right', interval: 0, repsPerSet: 0, weight: 24 };
+
+// Minimal stand-in for the Vercel response object
+function call(method, { query = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            status(code) {
+                return { json: (data) => resolve({ status: code, body: data }) };
+            }
+        };
+        handler({ method, query, body }, res).catch(reject);
+    });
+}
+
+function waitFor(check, timeoutMs = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = async () => {
+            const value = await check();
+            if (value) return resolve(value);
+            if (Date.now() - started > timeoutMs) return reject(new Error('Timed out'));
+            setTimeout(poll, 10);
+        };
+        poll();
+    });
+}
+
+// Without ANALYSIS_PROVIDER or GEMINI_API_KEY for the length of the test
+function withoutProvider(t) {
+    const env = { provider: process.env.ANALYSIS_PROVIDER, key: process.env.GEMINI_API_KEY };
+    delete process.env.ANALYSIS_PROVIDER;
+    delete process.env.GEMINI_API_KEY;
+    t.after(() => {
+        if (env.provider !== undefined) process.env.ANALYSIS_PROVIDER = env.provider;
+        if (env.key !== undefined) process.env.GEMINI_API_KEY = env.key;
+    });
+}
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const stores = {
+    memory: () => new MemoryJobStore(),
+    file: () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-vbt-jobs-test-'));
+        tempDirs.push(dir);
+        return new FileJobStore(dir);
+    }
+};
+
+Object.entries(stores).forEach(([kind, createStore]) => {
+    test(`${kind} store: a progress write after a cancel leaves the job cancelled`, async () => {
+        const store = createStore();
+        const job = await store.create({ protocol: PROTOCOL });
+
+        // Both writes are in flight together, cancel first
+        const [cancelled, progressed] = await Promise.all([
+            store.update(job.id, { status: 'cancelled', error: 'Cancelled by user' }),
+            store.update(job.id, { status: 'analyzing', progress: 0.4 })
+        ]);
+
+        assert.equal(cancelled.status, 'cancelled');
+        assert.equal(progressed.status, 'cancelled');
+        assert.equal(progressed.progress, 0);
+        assert.equal((await store.get(job.id)).status, 'cancelled');
+    });
+
+    test(`${kind} store: finished jobs can't be reopened`, async () => {
+        const store = createStore();
+        const job = await store.create({ protocol: PROTOCOL });
+        await store.update(job.id, { status: 'done', progress: 1, result: { totalReps: 3 } });
+
+        const after = await store.update(job.id, { status: 'cancelled' });
+        assert.equal(after.status, 'done');
+        assert.deepEqual((await store.get(job.id)).result, { totalReps: 3 });
+        assert.equal(await store.update('00000000-0000-0000-0000-000000000000', { status: 'done' }), null);
+    });
+});
+
+test('a cancel landing between the runner\'s progress writes stops the job', async (t) => {
+    withoutProvider(t);
+
+    const store = getJobStore();
+    const writes = [];
+    const update = store.update.bind(store);
+    let cancelResponse = null;
+    t.mock.method(store, 'update', async (id, patch) => {
+        // The user cancels just as the runner reports its first stage
+        if (patch.status === 'analyzing' && !cancelResponse) {
+            cancelResponse = await call('DELETE', { query: { id } });
+        }
+        const job = await update(id, patch);
+        writes.push({ status: patch.status, stored: job.status });
+        return job;
+    });
+
+    const submitted = await call('POST', { body: { keypoints: KEYPOINTS, protocol: PROTOCOL } });
+    assert.equal(submitted.status, 202);
+
+    await waitFor(() => cancelResponse);
+    assert.equal(cancelResponse.status, 200);
+    assert.equal(cancelResponse.body.status, 'cancelled');
+
+    // Give the runner time to finish; it must not write 'done' over the cancel
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const polled = await call('GET', { query: { id: submitted.body.id } });
+    assert.equal(polled.body.status, 'cancelled');
+    assert.equal(polled.body.result, null);
+    assert.ok(writes.every(write => write.stored === 'cancelled'));
+});
+
+test('keypoints are measured without a model provider', async (t) => {
+    withoutProvider(t);
+
+    // The upload page sends only the landmarks the analysis reads (pose-extract.js)
+    const used = [11, 12, 15, 16, 23, 24];
+    const keypoints = {
+        width: KEYPOINTS.width,
+        height: KEYPOINTS.height,
+        frames: KEYPOINTS.frames.map(frame => ({
+            timestamp: frame.timestamp,
+            landmarks: frame.landmarks.slice(0, 25).map((point, index) => used.includes(index) ? point : null)
+        }))
+    };
+
+    const submitted = await call('POST', { body: { keypoints, protocol: PROTOCOL } });
+    assert.equal(submitted.status, 202);
+
+    const job = await waitFor(async () => {
+        const polled = await call('GET', { query: { id: submitted.body.id } });
+        return ['done', 'failed'].includes(polled.body.status) ? polled.body : null;
+    });
+    assert.equal(job.status, 'done', job.error);
+    assert.equal(job.result.source, 'keypoints');
+    assert.equal(job.result.velocityUnit, 'm/s');
+    assert.equal(job.result.totalReps, KEYPOINTS.expected.reps);
+});
+
+test('a video without keypoints or a model provider fails with a clear message', async (t) => {
+    withoutProvider(t);
+    const { runAnalysis } = require('../api/analyze');
+    await assert.rejects(runAnalysis({ video: 'AAAA', protocol: PROTOCOL }), (error) => {
+        assert.equal(error.status, 503);
+        assert.match(error.message, /Send pose keypoints/);
+        return true;
+    });
+});
+
+test('a job with an invalid test protocol is refused up front', async () => {
+    const protocol = { ...PROTOCOL, test: { baseline: { method: 'median' } } };
+    const response = await call('POST', { body: { keypoints: KEYPOINTS, protocol } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid protocol');
+    assert.match(response.body.message, /baseline\.method/);
+});
+
+test('cancelling a finished job is a conflict', async () => {
+    const store = getJobStore();
+    const job = await store.create({ protocol: PROTOCOL });
+    await store.update(job.id, { status: 'done', progress: 1, result: {} });
+
+    const response = await call('DELETE', { query: { id: job.id } });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.status, 'done');
+    assert.equal((await call('DELETE', { query: { id: 'missing' } })).status, 404);
+});
@@ -0,0 +1,145 @@
+// ============================================
+// KETTLEBELL VBT - Live Engine Tests
+// Replays the landmark fixtures through live-engine.js
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const LiveEngine = require('../live-engine');
+const Calibration = require('../calibration');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'landmarks');
+
+// Recorded sets (exported from the live tracker) and the generator's synthetic ones, named
+// "recorded/<file>" and "synthetic/<file>"
+function loadFixtures(kind) {
+    const kinds = kind ? [kind] : ['recorded', 'synthetic'];
+    return kinds.flatMap(folder => {
+        const dir = path.join(FIXTURE_DIR, folder);
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => ({ name: `${folder}/${path.basename(name, '.json')}`, ...JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')) }));
+    });
+}
+
+// [{ repNumber, arm, zone }] each time an arm's zone changes
+function zoneTransitions(repLog) {
+    const current = {};
+    const transitions = [];
+    repLog.forEach((rep, index) => {
+        if (rep.zone === current[rep.arm]) return;
+        current[rep.arm] = rep.zone;
+        transitions.push({ repNumber: index + 1, arm: rep.arm, zone: rep.zone });
+    });
+    return transitions;
+}
+
+loadFixtures().forEach(fixture => {
+    const { expected } = fixture;
+
+    test(`${fixture.name}: rep count and no-counts`, () => {
+        assert.ok(expected, 'no expected block - write it by hand from the video (see README)');
+        const { engine, events } = LiveEngine.replay(fixture);
+        assert.equal(engine.state.reps, expected.reps);
+        assert.equal(events.filter(event => event.type === 'rep').length, expected.reps);
+        assert.deepEqual(engine.state.noCounts, expected.noCounts);
+    });
+
+    test(`${fixture.name}: arms and peak velocities`, () => {
+        const { engine } = LiveEngine.replay(fixture);
+        engine.state.repLog.forEach((rep, index) => {
+            const want = expected.repLog[index];
+            assert.equal(rep.arm, want.arm, `rep ${index + 1} arm`);
+            // Recorded sets only have true peaks when a reference device measured them
+            if (want.peakVelocity === null) return;
+            const error = Math.abs(rep.peakVelocity - want.peakVelocity) / want.peakVelocity;
+            assert.ok(error <= expected.peakTolerance,
+                `rep ${index + 1} peak ${rep.peakVelocity} m/s, expected ${want.peakVelocity} (±${expected.peakTolerance * 100}%)`);
+        });
+    });
+
+    test(`${fixture.name}: zone transitions and stop rule`, () => {
+        const { engine } = LiveEngine.replay(fixture);
+        assert.deepEqual(zoneTransitions(engine.state.repLog), zoneTransitions(expected.repLog));
+        assert.deepEqual(engine.state.stop, expected.stop);
+    });
+});
+
+// Synthetic sets only show the engine agrees with the model they were built from
+test('recorded sets replay', { skip: loadFixtures('recorded').length === 0 && 'no recorded set in fixtures/landmarks/recorded/ yet' }, () => {
+    loadFixtures('recorded').forEach(fixture => assert.doesNotMatch(fixture.source, /synthetic/, fixture.name));
+});
+
+test('repLog times start at the first rep and stay in order', () => {
+    const [fixture] = loadFixtures();
+    const { engine } = LiveEngine.replay(fixture);
+    const log = engine.state.repLog;
+    assert.equal(log[0].startTime, 0);
+    log.forEach((rep, index) => {
+        assert.equal(rep.repNumber, index + 1);
+        assert.ok(rep.endTime > rep.startTime);
+        if (index > 0) assert.ok(rep.startTime >= log[index - 1].endTime - 1e-9);
+    });
+});
+
+test('alternating reps expect the starting arm first', () => {
+    const fixture = loadFixtures().find(item => item.setup.armPattern === 'alternating-reps');
+    const { engine } = LiveEngine.replay(fixture, { startingArm: 'right' });
+    assert.deepEqual(engine.state.repLog.slice(0, 2).map(rep => rep.expectedArm), ['Right', 'Left']);
+
+    const { engine: matching } = LiveEngine.replay(fixture);
+    assert.ok(matching.state.repLog.every(rep => rep.expectedArm === rep.arm));
+});
+
+test('calibration scales every velocity', () => {
+    const [fixture] = loadFixtures();
+    const defaultRun = LiveEngine.replay(fixture).engine;
+
+    // Twice the default 40 cm shoulder width doubles every speed
+    const record = Calibration.create({ method: 'shoulder-width', shoulderWidth: 0.8 });
+    const scaled = LiveEngine.replay(fixture, { calibration: record }).engine;
+
+    assert.equal(scaled.state.reps, defaultRun.state.reps);
+    scaled.state.repLog.forEach((rep, index) => {
+        const ratio = rep.peakVelocity / defaultRun.state.repLog[index].peakVelocity;
+        assert.ok(Math.abs(ratio - 2) < 0.01, `rep ${index + 1} ratio ${ratio}`);
+    });
+});
+
+test('frames without a pose or after a long gap are skipped', () => {
+    const engine = LiveEngine.createEngine({ exercise: 'swing', armPattern: 'right-only' });
+    const [fixture] = loadFixtures();
+    const frame = fixture.frames[10];
+
+    assert.equal(engine.process(null, 100, 640, 480).velocity, null);
+    assert.equal(engine.process(frame.landmarks.slice(0, 20), 133, 640, 480).velocity, null);
+    engine.process(frame.landmarks, 166, 640, 480);
+    assert.notEqual(engine.process(frame.landmarks, 200, 640, 480).velocity, null);
+    assert.equal(engine.process(frame.landmarks, 1500, 640, 480).velocity, null);
+});
+
+test('wrist history starts over after a gap', () => {
+    const engine = LiveEngine.createEngine({ exercise: 'swing', armPattern: 'right-only' });
+    const fixture = loadFixtures().find(item => item.name === 'synthetic/swing-fatigue');
+    // Bell at the bottom of the swing, then at the top - far apart
+    const before = fixture.frames[48].landmarks;
+    const after = fixture.frames[66].landmarks;
+
+    // Moving, then a 2 s gap, then holding still: the still frames read as still
+    engine.process(fixture.frames[47].landmarks, 0, 640, 480);
+    engine.process(before, 33, 640, 480);
+    assert.equal(engine.process(after, 2033, 640, 480).velocity, null);
+    const still = engine.process(after, 2066, 640, 480);
+    assert.ok(Math.abs(still.velocity) < 0.01, `velocity ${still.velocity} m/s after the gap`);
+});
+
+test('arm patterns pick the wrists to follow', () => {
+    assert.deepEqual(LiveEngine.getTrackedSides('left-only'), ['Left']);
+    assert.deepEqual(LiveEngine.getTrackedSides('right-only'), ['Right']);
+    assert.deepEqual(LiveEngine.getTrackedSides('both'), ['Both']);
+    assert.deepEqual(LiveEngine.getTrackedSides('alternating-sets'), ['Left', 'Right']);
+    assert.deepEqual(LiveEngine.createEngine({ armPattern: 'both' }).sides, ['Both']);
+});
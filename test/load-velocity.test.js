@@ -0,0 +1,87 @@
+// ============================================
+// KETTLEBELL VBT - Load-Velocity Profile Tests
+// Profile fit, readiness and bell suggestions in load-velocity.js
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoadVelocity = require('../load-velocity');
+
+function near(actual, expected, label) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: ${actual}, expected ${expected}`);
+}
+
+// First-rep peaks on the line velocity = 3 - 0.05 x weight
+const LINE = [16, 20, 24].map(weight => ({ weight, velocity: 3 - 0.05 * weight }));
+const PROFILE = LoadVelocity.fit(LINE);
+
+test('the fit recovers a straight line', () => {
+    assert.equal(PROFILE.valid, true);
+    near(PROFILE.slope, -0.05, 'slope');
+    near(PROFILE.intercept, 3, 'intercept');
+    near(PROFILE.r2, 1, 'r2');
+    assert.deepEqual(PROFILE.weights, [16, 20, 24]);
+    near(LoadVelocity.estimateMax(PROFILE, 1.5), 30, 'estimated max');
+});
+
+test('the fit needs two bells and velocity falling with load', () => {
+    const oneBell = LoadVelocity.fit([{ weight: 16, velocity: 2.2 }, { weight: 16, velocity: 2.3 }]);
+    assert.equal(oneBell.valid, false);
+    assert.match(oneBell.reason, /two or more bell weights/);
+    assert.equal(LoadVelocity.estimateMax(oneBell, 1.5), null);
+
+    const rising = LoadVelocity.fit([{ weight: 16, velocity: 2.0 }, { weight: 24, velocity: 2.2 }]);
+    assert.equal(rising.valid, false);
+    assert.match(rising.reason, /doesn't fall with load/);
+    assert.equal(LoadVelocity.fit([]).valid, false);
+});
+
+test('only sessions measured in m/s become points', () => {
+    const points = LoadVelocity.collectPoints([
+        { id: 'a', weight: 16, summary: { velocityUnit: 'm/s' }, reps: [{ peakVelocity: 2.2 }] },
+        { id: 'b', weight: '24', summary: { velocityUnit: 'm/s', baselineVelocity: 1.8 }, reps: [] },
+        { id: 'c', weight: 20, summary: { velocityUnit: 'score' }, reps: [{ velocityScore: 8 }] },
+        { id: 'd', weight: 0, summary: { velocityUnit: 'm/s' }, reps: [{ peakVelocity: 2.5 }] }
+    ]);
+    assert.deepEqual(points.map(point => [point.id, point.weight, point.velocity]), [['a', 16, 2.2], ['b', 24, 1.8]]);
+});
+
+test('the suggested bell is the heaviest in the velocity zone', () => {
+    const suggestion = LoadVelocity.suggestWeight(PROFILE, { min: 1.75, max: 2.05 });
+    assert.equal(suggestion.weight, 24);
+    assert.equal(suggestion.inZone, true);
+    assert.equal(suggestion.extrapolated, false);
+
+    // A slow day scales the whole profile down
+    assert.equal(LoadVelocity.suggestWeight(PROFILE, { min: 1.75, max: 2.05 }, 0.9).weight, 20);
+    // Beyond the heaviest bell in the profile
+    assert.equal(LoadVelocity.suggestWeight(PROFILE, { min: 0.7, max: 0.9 }).extrapolated, true);
+});
+
+test('suggestWeight edge cases', () => {
+    // The zone falls between two bell sizes: the heaviest still fast enough, flagged out of zone
+    const between = LoadVelocity.suggestWeight(PROFILE, { min: 1.82, max: 1.88 });
+    assert.equal(between.weight, 22);
+    assert.equal(between.inZone, false);
+
+    // No max: the heaviest bell at or above the minimum
+    assert.equal(LoadVelocity.suggestWeight(PROFILE, { min: 1.5 }).weight, 28);
+
+    assert.equal(LoadVelocity.suggestWeight(PROFILE, { min: 3.5, max: 4 }), null);
+    assert.equal(LoadVelocity.suggestWeight(PROFILE, { min: 0, max: 2 }), null);
+    assert.equal(LoadVelocity.suggestWeight(LoadVelocity.fit(LINE.slice(0, 1)), { min: 1.5, max: 2 }), null);
+    assert.equal(LoadVelocity.suggestWeight(PROFILE, { min: 1.5, max: 2 }, 1, []), null);
+});
+
+test('readiness compares the first rep with the profile', () => {
+    const high = LoadVelocity.readiness(PROFILE, 20, 2.2);
+    near(high.expected, 2, 'expected');
+    assert.equal(high.percent, 110);
+    assert.equal(high.status, 'high');
+    assert.equal(LoadVelocity.readiness(PROFILE, 20, 1.7).status, 'very-low');
+    assert.equal(LoadVelocity.readiness(PROFILE, 12, 2.4).extrapolated, true);
+
+    assert.equal(LoadVelocity.readiness(PROFILE, 20, 0), null);
+    // Predicted velocity at or below zero for a bell far past the line
+    assert.equal(LoadVelocity.readiness(PROFILE, 60, 1), null);
+});
@@ -0,0 +1,111 @@
+// ============================================
+// KETTLEBELL VBT - Pose Extraction Tests
+// Frame sampling and detector timestamps in pose-extract.js
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PoseExtractor = require('../pose-extract');
+
+// Stand-in for a <video> element: seeks and metadata load a tick later, like the real one
+class FakeVideo {
+    constructor(duration) {
+        this.duration = duration;
+        this.videoWidth = 640;
+        this.videoHeight = 480;
+        this.listeners = [];
+    }
+
+    set src(value) {
+        this.source = value;
+        setTimeout(() => this.emit('loadedmetadata'));
+    }
+
+    get src() {
+        return this.source;
+    }
+
+    set currentTime(value) {
+        this.time = value;
+        setTimeout(() => this.emit('seeked'));
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.push({ type, listener });
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners = this.listeners.filter(item => item.type !== type || item.listener !== listener);
+    }
+
+    emit(type) {
+        this.listeners.filter(item => item.type === type).forEach(item => {
+            this.removeEventListener(type, item.listener);
+            item.listener({ type });
+        });
+    }
+}
+
+// Rejects timestamps that don't increase, as MediaPipe's VIDEO mode does
+function fakeLandmarker() {
+    const pose = Array.from({ length: 33 }, (_, index) => ({ x: index / 100, y: 0.5, z: 0 }));
+    const landmarker = {
+        timestamps: [],
+        detectForVideo(video, timestamp) {
+            const last = landmarker.timestamps[landmarker.timestamps.length - 1];
+            if (last !== undefined && timestamp <= last) throw new Error(`timestamp ${timestamp} after ${last}`);
+            landmarker.timestamps.push(timestamp);
+            return { landmarks: [pose] };
+        }
+    };
+    return landmarker;
+}
+
+function useFakeDom(t) {
+    const videos = [];
+    global.document = {
+        createElement: () => {
+            const video = new FakeVideo(1);
+            videos.push(video);
+            return video;
+        }
+    };
+    t.mock.method(URL, 'createObjectURL', () => 'blob:fake');
+    t.mock.method(URL, 'revokeObjectURL', () => {});
+    t.after(() => delete global.document);
+    return videos;
+}
+
+test('a second video on the same extractor keeps detector timestamps increasing', async (t) => {
+    const videos = useFakeDom(t);
+    const extractor = new PoseExtractor();
+    extractor.landmarker = fakeLandmarker();
+
+    const first = await extractor.extract({});
+    const second = await extractor.extract({});
+
+    assert.equal(first.frames.length, 15);
+    assert.equal(second.frames.length, 15);
+    // Sent timestamps are the video's own either way
+    assert.deepEqual(second.frames.map(frame => frame.timestamp), first.frames.map(frame => frame.timestamp));
+    assert.equal(extractor.landmarker.timestamps.length, 30);
+    // No seek leaves a listener behind
+    videos.forEach(video => assert.deepEqual(video.listeners, []));
+});
+
+test('only the landmarks the analysis reads are kept', () => {
+    const pose = Array.from({ length: 33 }, () => ({ x: 0.123456, y: 0.5, z: -0.1 }));
+    const compact = PoseExtractor.compact(pose);
+    assert.equal(compact.length, 25);
+    assert.deepEqual(compact[15], { x: 0.1235, y: 0.5, z: -0.1 });
+    assert.equal(compact[0], null);
+    assert.equal(compact.filter(Boolean).length, 6);
+});
+
+test('a video error rejects the wait and removes its listener', async () => {
+    const video = new FakeVideo(1);
+    const waiting = new PoseExtractor().waitFor(video, 'seeked');
+    video.emit('error');
+    await assert.rejects(waiting, /Could not read the video file/);
+    assert.deepEqual(video.listeners, []);
+});
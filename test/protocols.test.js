@@ -0,0 +1,82 @@
+// ============================================
+// KETTLEBELL VBT - Test Protocol Tests
+// Normalizing, saving and sharing protocols in protocols.js
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Protocols = require('../protocols');
+
+// Stand-in for localStorage
+function memoryStorage() {
+    const items = {};
+    return {
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+const CUSTOM = {
+    id: 'club-test',
+    name: 'Club test – 12%',
+    baseline: { method: 'best', reps: 2 },
+    drop: { method: 'rolling', window: 4 },
+    zones: { warning: 8, critical: 12 },
+    stop: { drop: 12, consecutive: 2 },
+    sets: { repsPerSet: 10, interval: 60, count: 5 },
+    cues: { rep: 'count', zones: false, cadence: 20, vibrate: false }
+};
+
+test('normalize fills in defaults and reads form values', () => {
+    const protocol = Protocols.normalize({
+        name: '  ',
+        baseline: { reps: '4.4' },
+        zones: { warning: '10', critical: '' },
+        cues: { zones: 'false', vibrate: 'true' }
+    });
+    assert.equal(protocol.name, 'Custom protocol');
+    assert.deepEqual(protocol.baseline, { method: 'first', reps: 4 });
+    assert.deepEqual(protocol.zones, { warning: 10, critical: 20 });
+    assert.deepEqual(protocol.stop, Protocols.DEFAULTS.stop);
+    assert.equal(protocol.cues.zones, false);
+    assert.equal(protocol.cues.vibrate, true);
+    assert.deepEqual(Protocols.normalize(CUSTOM), CUSTOM);
+});
+
+test('normalize rejects settings a test cannot run with', () => {
+    assert.throws(() => Protocols.normalize({ baseline: { method: 'median' } }), /baseline\.method must be one of first, best/);
+    assert.throws(() => Protocols.normalize({ baseline: { reps: 0 } }), /baseline\.reps must be between 1 and 10/);
+    assert.throws(() => Protocols.normalize({ zones: { warning: 'a lot' } }), /zones\.warning/);
+    assert.throws(() => Protocols.normalize({ zones: { warning: 30, critical: 20 } }), /critical drop must be at least the warning/);
+    assert.throws(() => Protocols.normalize({ sets: { interval: 7200 } }), /sets\.interval/);
+});
+
+test('export files and share links round-trip a protocol', () => {
+    // Imports get a fresh id so they never overwrite a saved protocol
+    const { id, ...rest } = CUSTOM;
+    assert.deepEqual(Protocols.parse(Protocols.toJSON(CUSTOM)), { id: '', ...rest });
+    assert.deepEqual(Protocols.decode(Protocols.encode(CUSTOM)), { id: '', ...rest });
+    assert.match(Protocols.encode(CUSTOM), /^[A-Za-z0-9_-]+$/);
+
+    // A bare protocol object imports too
+    assert.equal(Protocols.parse(JSON.stringify(CUSTOM)).zones.critical, 12);
+});
+
+test('damaged or foreign protocol files are refused', () => {
+    assert.throws(() => Protocols.parse('{not json'), /not valid JSON/);
+    assert.throws(() => Protocols.parse('42'), /Not a test protocol/);
+    assert.throws(() => Protocols.parse(JSON.stringify({ format: 'kb-vbt-protocol', version: 2, protocol: CUSTOM })), /newer/);
+    assert.throws(() => Protocols.decode('%%%'), /Protocol link is damaged/);
+    assert.throws(() => Protocols.decode(Protocols.encode(CUSTOM).slice(0, 20)), /damaged|not valid JSON/);
+});
+
+test('saving a preset stores a copy', () => {
+    const storage = memoryStorage();
+    const copy = Protocols.save(storage, { ...Protocols.PRESETS[0], name: 'Standard' });
+    assert.equal(copy.id, 'custom-standard');
+    assert.equal(Protocols.find(storage, 'standard').name, 'Standard (20% cut-off)');
+    assert.equal(Protocols.list(storage).length, Protocols.PRESETS.length + 1);
+
+    Protocols.remove(storage, copy.id);
+    assert.equal(Protocols.find(storage, copy.id), null);
+});
@@ -0,0 +1,37 @@
+// ============================================
+// KETTLEBELL VBT - Retry Helper Tests
+// Timeouts, backoff and cancellation in lib/retry.js
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withRetry, TimeoutError } = require('../lib/retry');
+
+test('failed attempts are retried with backoff', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+        calls++;
+        if (calls < 3) throw new Error('busy');
+        return 'ok';
+    }, { retries: 2, delayMs: 1 });
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+});
+
+test('a slow attempt times out', async () => {
+    await assert.rejects(withRetry(() => new Promise(() => {}), { timeoutMs: 10 }), TimeoutError);
+});
+
+test('cancelling during the backoff stops at once', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const started = Date.now();
+    setTimeout(() => controller.abort(new Error('Job cancelled')), 20);
+
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw new Error('busy');
+    }, { retries: 3, delayMs: 10000, signal: controller.signal }), /Job cancelled/);
+    assert.equal(calls, 1);
+    assert.ok(Date.now() - started < 1000, 'waited out the backoff');
+});
@@ -0,0 +1,88 @@
+// ============================================
+// KETTLEBELL VBT - Session Export Tests
+// CSV and JSON round-trips and import checks in session-export.js
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SessionExport = require('../session-export');
+
+function session(id, reps, extra = {}) {
+    return {
+        id,
+        date: '2026-03-02T09:30:00.000Z',
+        athlete: 'Sam',
+        exercise: 'swing',
+        weight: 24,
+        source: 'upload',
+        reps,
+        summary: SessionExport.summaryOf({ reps }),
+        coachingNotes: '',
+        warnings: [],
+        ...extra
+    };
+}
+
+const REPS = [
+    { repNumber: 1, arm: 'Right', startTime: '00:01.0', endTime: '00:02.2', duration: 1.2, velocityScore: 10, peakVelocity: 2.1, meanVelocity: 1.2 },
+    { repNumber: 2, arm: 'Right', startTime: '00:02.4', endTime: '00:03.7', duration: 1.3, velocityScore: 9, peakVelocity: 1.9, meanVelocity: 1.1 }
+];
+
+test('CSV keeps a session without reps', () => {
+    const csv = SessionExport.toCSV([session('empty', []), session('set', REPS)]);
+    const lines = csv.trim().split('\r\n');
+    assert.equal(lines.length, 4);
+    assert.equal(lines[1], 'empty,2026-03-02T09:30:00.000Z,Sam,swing,24,upload,,,,,,,,,');
+
+    const imported = SessionExport.parse(csv, 'sessions.csv');
+    assert.deepEqual(imported.map(item => item.id), ['empty', 'set']);
+    assert.deepEqual(imported[0].reps, []);
+    assert.equal(imported[0].summary.totalReps, 0);
+    assert.equal(imported[1].reps.length, 2);
+});
+
+test('JSON export round-trips sessions', () => {
+    const sessions = [session('set', REPS, { coachingNotes: 'Good pace', protocol: { test: { id: 'standard' } } })];
+    const imported = SessionExport.parse(SessionExport.toJSON(sessions), 'sessions.json');
+    assert.deepEqual(imported, sessions);
+});
+
+test('JSON import rejects bad records and foreign files', () => {
+    const file = (records, extra = {}) => JSON.stringify({ format: 'kb-vbt-sessions', version: 1, sessions: records, ...extra });
+    const cases = [
+        [[session('', REPS)], /Session 1: missing id/],
+        [[session('a', REPS, { date: 'yesterday' })], /Session 1: missing or invalid date/],
+        [[session('a', REPS, { weight: 'heavy' })], /weight must be a number/],
+        [[session('a', REPS), session('b', [{ ...REPS[0], arm: 'Middle' }])], /Session 2, rep 1: arm must be one of/],
+        [[session('a', [{ ...REPS[0], peakVelocity: '2.1' }])], /peakVelocity must be a number/],
+        [[session('a', REPS, { summary: 'fast' })], /summary must be an object/],
+        [[session('a', REPS, { summary: { avgVelocity: 'NaN' } })], /summary\.avgVelocity must be a number/],
+        [['not a session'], /Session 1: not a session record/]
+    ];
+    cases.forEach(([records, message]) => assert.throws(() => SessionExport.parse(file(records), 'x.json'), message));
+
+    assert.throws(() => SessionExport.parse('{"sessions": []}', 'x.json'), /Not a Kettlebell VBT session export/);
+    assert.throws(() => SessionExport.parse(file([], { version: 2 }), 'x.json'), /newer/);
+    assert.throws(() => SessionExport.parse('{oops', 'x.json'), /not valid JSON/);
+});
+
+test('CSV import rejects bad rows', () => {
+    const csv = SessionExport.toCSV([session('set', REPS)]);
+    const withRow = (edit, line = 2) => {
+        const lines = csv.trim().split('\r\n');
+        lines[line] = edit(lines[line].split(',')).join(',');
+        return lines.join('\r\n');
+    };
+    // Columns: ... 6 rep, 7 arm, 8 start, 9 end, 10 duration, 11 score, 12 peak
+    assert.throws(() => SessionExport.parse(withRow(cells => { cells[7] = 'Middle'; return cells; }), 'x.csv'),
+        /Session set, rep 2: arm must be one of/);
+    assert.throws(() => SessionExport.parse(withRow(cells => { cells[6] = 'two'; return cells; }), 'x.csv'),
+        /repNumber must be a whole number/);
+    assert.throws(() => SessionExport.parse(withRow(cells => { cells[10] = 'long'; return cells; }), 'x.csv'),
+        /duration must be a number/);
+    // The session fields come from its first row
+    assert.throws(() => SessionExport.parse(withRow(cells => { cells[1] = 'soon'; return cells; }, 1), 'x.csv'),
+        /missing or invalid date/);
+    assert.throws(() => SessionExport.parse('session_id,date\r\nset,2026-03-02\r\n', 'x.csv'), /CSV is missing columns: athlete/);
+    assert.throws(() => SessionExport.parse('hello', 'notes.txt'), /Unsupported file/);
+});
@@ -0,0 +1,79 @@
+// ============================================
+// KETTLEBELL VBT - Upload Store Tests
+// Part cleanup and expiry in lib/upload-store.js
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const uploads = require('../lib/upload-store');
+
+const HOUR = 60 * 60 * 1000;
+
+function useTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-vbt-uploads-test-'));
+    const previous = { dir: process.env.UPLOAD_DIR, ttl: process.env.UPLOAD_TTL_HOURS };
+    process.env.UPLOAD_DIR = dir;
+    delete process.env.UPLOAD_TTL_HOURS;
+    t.after(() => {
+        if (previous.dir === undefined) delete process.env.UPLOAD_DIR; else process.env.UPLOAD_DIR = previous.dir;
+        if (previous.ttl !== undefined) process.env.UPLOAD_TTL_HOURS = previous.ttl;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return dir;
+}
+
+async function uploadBytes(bytes) {
+    const meta = await uploads.createUpload({ fileName: 'set.mp4', mimeType: 'video/mp4', size: bytes.length });
+    await uploads.writePart(meta.uploadId, 0, bytes);
+    return meta.uploadId;
+}
+
+test('completing an upload leaves only the video', async (t) => {
+    const dir = useTempDir(t);
+    const uploadId = await uploadBytes(Buffer.from('not really a video'));
+    // An interrupted retry of the same part
+    fs.writeFileSync(path.join(dir, uploadId, 'part-0.tmp'), 'partial');
+
+    const ref = await uploads.completeUpload(uploadId);
+    assert.equal(ref.videoRef, uploadId);
+    assert.deepEqual(fs.readdirSync(path.join(dir, uploadId)).sort(), ['meta.json', 'video']);
+    assert.equal(fs.readFileSync((await uploads.resolveVideo(uploadId)).path, 'utf8'), 'not really a video');
+});
+
+test('a failed reassembly keeps the parts and drops the half-written video', async (t) => {
+    const dir = useTempDir(t);
+    const uploadId = await uploadBytes(Buffer.from('twelve bytes'));
+    fs.writeFileSync(path.join(dir, uploadId, 'part-0'), 'short');
+
+    await assert.rejects(uploads.completeUpload(uploadId), { status: 500 });
+    assert.deepEqual(fs.readdirSync(path.join(dir, uploadId)).sort(), ['meta.json', 'part-0']);
+});
+
+test('uploads idle past the TTL are deleted', async (t) => {
+    const dir = useTempDir(t);
+    const stale = await uploadBytes(Buffer.from('old'));
+    await uploads.completeUpload(stale);
+    const fresh = await uploadBytes(Buffer.from('new'));
+    fs.mkdirSync(path.join(dir, 'not-an-upload'));
+
+    const old = new Date(Date.now() - 25 * HOUR);
+    fs.utimesSync(path.join(dir, stale), old, old);
+    fs.utimesSync(path.join(dir, 'not-an-upload'), old, old);
+
+    assert.deepEqual(await uploads.expireUploads(), [stale]);
+    assert.deepEqual(fs.readdirSync(dir).sort(), [fresh, 'not-an-upload'].sort());
+    await assert.rejects(uploads.resolveVideo(stale), { status: 404 });
+
+    // UPLOAD_TTL_HOURS shortens it
+    process.env.UPLOAD_TTL_HOURS = '1';
+    assert.deepEqual(await uploads.expireUploads(Date.now() + 2 * HOUR), [fresh]);
+});
+
+test('expiry with no upload directory yet does nothing', async (t) => {
+    const dir = useTempDir(t);
+    fs.rmSync(dir, { recursive: true });
+    assert.deepEqual(await uploads.expireUploads(), []);
+});
@@ -0,0 +1,122 @@
+// ============================================
+// KETTLEBELL VBT - Annotated Video Export
+// ============================================
+
+// Re-records a video with an overlay drawn on every frame (canvas + MediaRecorder, no server).
+// Like trimming, recording runs at playback speed, and the tab has to stay visible while it runs.
+class AnnotatedVideoExporter {
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype;
+    }
+
+    // MP4 plays everywhere people share clips; Chrome and Firefox only record WebM
+    static pickMimeType() {
+        const candidates = ['video/mp4;codecs=avc1', 'video/mp4', 'video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    // drawOverlay(ctx, time, width, height) runs after each video frame is drawn; `time` is the
+    // frame's position in the source video (seconds). Returns a File named `${name}.webm|mp4`.
+    async render(file, { start = 0, end = null, name, drawOverlay, onProgress }) {
+        const video = document.createElement('video');
+        video.playsInline = true;
+        video.src = URL.createObjectURL(file);
+        let audioContext = null;
+
+        try {
+            await this.waitFor(video, 'loadedmetadata');
+            const clipStart = Math.max(0, start);
+            const clipEnd = Math.min(end || video.duration, video.duration);
+            if (!(clipEnd > clipStart)) {
+                throw new Error('Clip end must be after clip start');
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            const ctx = canvas.getContext('2d');
+            const stream = canvas.captureStream();
+
+            // Route the sound into the recording without playing it out loud
+            audioContext = this.captureAudio(video, stream);
+            if (!audioContext) video.muted = true;
+
+            video.currentTime = clipStart;
+            await this.waitFor(video, 'seeked');
+
+            const drawFrame = (time) => {
+                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                if (drawOverlay) drawOverlay(ctx, time, canvas.width, canvas.height);
+            };
+            drawFrame(clipStart);
+
+            const mimeType = AnnotatedVideoExporter.pickMimeType();
+            const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+            const chunks = [];
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+            recorder.start(1000);
+            await video.play();
+
+            // requestVideoFrameCallback gives each presented frame's media time, so the overlay
+            // matches the picture exactly; requestAnimationFrame + currentTime is the fallback
+            await new Promise(resolve => {
+                const tick = (time) => {
+                    drawFrame(time);
+                    if (onProgress) onProgress(Math.min(1, Math.max(0, (time - clipStart) / (clipEnd - clipStart))));
+                    if (time >= clipEnd || video.ended) {
+                        resolve();
+                    } else {
+                        schedule();
+                    }
+                };
+                const schedule = () => {
+                    if ('requestVideoFrameCallback' in video) {
+                        video.requestVideoFrameCallback((now, metadata) => tick(metadata.mediaTime));
+                    } else {
+                        requestAnimationFrame(() => tick(video.currentTime));
+                    }
+                };
+                video.addEventListener('ended', resolve, { once: true });
+                schedule();
+            });
+
+            video.pause();
+            recorder.stop();
+            await stopped;
+
+            const type = recorder.mimeType || 'video/webm';
+            const extension = type.includes('mp4') ? 'mp4' : 'webm';
+            return new File(chunks, `${name}.${extension}`, { type: type.split(';')[0] });
+
+        } finally {
+            if (audioContext) audioContext.close();
+            URL.revokeObjectURL(video.src);
+        }
+    }
+
+    captureAudio(video, stream) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        try {
+            const audioContext = new AudioContextClass();
+            const destination = audioContext.createMediaStreamDestination();
+            audioContext.createMediaElementSource(video).connect(destination);
+            destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+            return audioContext;
+        } catch (error) {
+            console.warn('Exporting without sound:', error);
+            return null;
+        }
+    }
+
+    waitFor(element, eventName) {
+        return new Promise((resolve, reject) => {
+            element.addEventListener(eventName, resolve, { once: true });
+            element.addEventListener('error', () => reject(new Error('Could not read the video file')), { once: true });
+        });
+    }
+}
@@ -0,0 +1,79 @@
+// ============================================
+// KETTLEBELL VBT - Client-side Video Trimming
+// ============================================
+
+// Re-records a start/end range of a video file in the browser (no server, no ffmpeg).
+// Recording runs at playback speed, so trimming a 2 minute range takes 2 minutes.
+class VideoTrimmer {
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            ('captureStream' in HTMLVideoElement.prototype || 'mozCaptureStream' in HTMLVideoElement.prototype);
+    }
+
+    static pickMimeType() {
+        const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    async trim(file, start, end, onProgress) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.src = URL.createObjectURL(file);
+
+        try {
+            await this.waitFor(video, 'loadedmetadata');
+            const clipEnd = Math.min(end || video.duration, video.duration);
+            if (!(clipEnd > start)) {
+                throw new Error('Trim end must be after trim start');
+            }
+
+            video.currentTime = start;
+            await this.waitFor(video, 'seeked');
+
+            const stream = video.captureStream ? video.captureStream() : video.mozCaptureStream();
+            const mimeType = VideoTrimmer.pickMimeType();
+            const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+            const chunks = [];
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+            recorder.start(1000);
+            await video.play();
+
+            await new Promise(resolve => {
+                const tick = () => {
+                    const progress = (video.currentTime - start) / (clipEnd - start);
+                    if (onProgress) onProgress(Math.min(1, Math.max(0, progress)));
+                    if (video.currentTime >= clipEnd || video.ended) {
+                        resolve();
+                    } else {
+                        setTimeout(tick, 100);
+                    }
+                };
+                tick();
+            });
+
+            video.pause();
+            recorder.stop();
+            await stopped;
+
+            const type = recorder.mimeType || 'video/webm';
+            const extension = type.includes('mp4') ? 'mp4' : 'webm';
+            const baseName = file.name.replace(/\.[^.]+$/, '');
+            return new File(chunks, `${baseName}-trim.${extension}`, { type: type.split(';')[0] });
+
+        } finally {
+            URL.revokeObjectURL(video.src);
+        }
+    }
+
+    waitFor(element, eventName) {
+        return new Promise((resolve, reject) => {
+            element.addEventListener(eventName, resolve, { once: true });
+            element.addEventListener('error', () => reject(new Error('Could not read the video file')), { once: true });
+        });
+    }
+}